@@ -0,0 +1,133 @@
+import path from "path";
+import fs from "fs/promises";
+import { nanoid } from "nanoid";
+import { probeMedia } from "./probe.js";
+import { logger } from "./logger.js";
+
+/**
+ * Brand assets (logos, intro/outro clips), uploaded once and referenced by id
+ *
+ * Stored in the assets bucket as
+ *   assets/<id>/<file>        the asset itself
+ *   assets/<id>/asset.json    { id, kind, name, file, content_type, size,
+ *                               width, height, duration, has_audio, owner, createdAt }
+ *
+ * Assets never change after upload, so metadata and files are cached: the
+ * metadata in memory, files in `cacheDir` (downloaded on first use).
+ * kind = "image" (logo) | "video" (intro / outro)
+ */
+const IMAGE_CODECS = ["png", "mjpeg", "webp"];
+
+export function createAssetStore({ storage, bucket, cacheDir, ffprobePath }) {
+  const metaCache = new Map(); // id -> asset
+  const fileCache = new Map(); // id -> Promise<local path>
+
+  const objectDir = (id) => `assets/${id}`;
+
+  /**
+   * Probe + upload a local file. -> asset, or throws `unsupported_asset`
+   * (not an image or video ffprobe can read)
+   */
+  async function save({ filePath, name, owner = null }) {
+    let media;
+    try {
+      media = await probeMedia(ffprobePath, filePath);
+    } catch (e) {
+      const err = new Error("unsupported_asset");
+      err.details = e?.details;
+      throw err;
+    }
+
+    // still images (png_pipe, image2, ...) have no real duration
+    const image = IMAGE_CODECS.includes(media.video_codec) && !(media.duration > 0.1);
+    if (!media.video_codec || (!image && !(media.duration > 0))) {
+      const err = new Error("unsupported_asset");
+      err.details = { format: media.format, video_codec: media.video_codec };
+      throw err;
+    }
+
+    const id = `asset_${nanoid(10)}`;
+    const original = String(name || "asset");
+    const ext = image
+      ? `.${media.video_codec === "mjpeg" ? "jpg" : media.video_codec}`
+      : path.extname(original).toLowerCase() || ".mp4";
+    const baseName = path
+      .basename(original, path.extname(original))
+      .replace(/[^a-zA-Z0-9._-]/g, "_")
+      .slice(0, 60);
+    const file = `${baseName || "asset"}${ext}`;
+    const contentType = image
+      ? `image/${media.video_codec === "mjpeg" ? "jpeg" : media.video_codec}`
+      : ext === ".mp4"
+        ? "video/mp4"
+        : "application/octet-stream";
+
+    const asset = {
+      id,
+      kind: image ? "image" : "video",
+      name: original,
+      file,
+      content_type: contentType,
+      size: media.size,
+      width: media.width,
+      height: media.height,
+      duration: image ? null : media.duration,
+      has_audio: image ? false : media.has_audio,
+      owner,
+      createdAt: Date.now(),
+    };
+
+    await storage.uploadFile(bucket, `${objectDir(id)}/${file}`, filePath, contentType);
+    await storage.uploadBuffer(
+      bucket,
+      `${objectDir(id)}/asset.json`,
+      Buffer.from(JSON.stringify(asset, null, 2), "utf8"),
+      "application/json"
+    );
+    metaCache.set(id, asset);
+    return asset;
+  }
+
+  // -> asset metadata, or null when it doesn't exist (or can't be read)
+  async function get(id) {
+    if (metaCache.has(id)) return metaCache.get(id);
+
+    const tmp = path.join(cacheDir, `${id}.${nanoid(6)}.json`);
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      await storage.download(bucket, `${objectDir(id)}/asset.json`, tmp);
+      const asset = JSON.parse(await fs.readFile(tmp, "utf8"));
+      metaCache.set(id, asset);
+      return asset;
+    } catch (e) {
+      logger.warn("asset lookup failed", { component: "assets", id, err: e });
+      return null;
+    } finally {
+      await fs.unlink(tmp).catch(() => {});
+    }
+  }
+
+  // -> local path of the asset file (downloaded once per process)
+  function fetch(asset) {
+    if (!fileCache.has(asset.id)) {
+      const dest = path.join(cacheDir, asset.id, asset.file);
+      const pending = (async () => {
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        const tmp = `${dest}.${nanoid(6)}.part`;
+        try {
+          await storage.download(bucket, `${objectDir(asset.id)}/${asset.file}`, tmp);
+          await fs.rename(tmp, dest);
+        } finally {
+          await fs.unlink(tmp).catch(() => {});
+        }
+        return dest;
+      })();
+      // a failed download is retried on next use
+      pending.catch(() => fileCache.delete(asset.id));
+      fileCache.set(asset.id, pending);
+    }
+    return fileCache.get(asset.id);
+  }
+
+  return { bucket, save, get, fetch };
+}
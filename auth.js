@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+/**
+ * Authentication + tenants
+ *
+ * Callers send `Authorization: Bearer <token>` (or `X-API-Key: <key>`).
+ * A token is accepted when it is
+ *  - an API key from API_KEYS ("<tenant>:<key>,<tenant>:<key>"), or
+ *  - a Supabase access token (JWT). With SUPABASE_JWT_SECRET it is verified
+ *    locally (HS256), otherwise through supabase.auth.getUser(). The tenant is
+ *    `app_metadata.tenant_id`, falling back to the user id.
+ *
+ * EventSource can't set headers, so `?access_token=` works as well.
+ * The middleware sets req.auth = { tenant, via: "api_key" | "jwt" }.
+ */
+const TENANT_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const USER_CACHE_MS = 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// "acme:key1,beta:key2" -> Map(sha256(key) -> tenant)
+export function parseApiKeys(value) {
+  const keys = new Map();
+  for (const entry of String(value || "").split(",")) {
+    const s = entry.trim();
+    if (!s) continue;
+    const sep = s.indexOf(":");
+    const tenant = s.slice(0, sep).trim();
+    const key = s.slice(sep + 1).trim();
+    if (sep < 1 || !key || !TENANT_RE.test(tenant)) {
+      throw new Error(`invalid API_KEYS entry "${s.slice(0, 12)}…"`);
+    }
+    keys.set(sha256(key), tenant);
+  }
+  return keys;
+}
+
+function base64UrlDecode(s) {
+  return Buffer.from(s.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// HS256 JWT -> claims, or null (bad signature, expired, not a JWT)
+function verifyJwt(token, secret) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  let header, claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (header.alg !== "HS256") return null;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest();
+  const actual = base64UrlDecode(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && claims.exp <= now) return null;
+  if (typeof claims.nbf === "number" && claims.nbf > now) return null;
+  return claims;
+}
+
+function tenantOfClaims(claims) {
+  return String(claims?.app_metadata?.tenant_id || claims?.sub || "");
+}
+
+function tokenFrom(req) {
+  const header = req.get("authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return (req.get("x-api-key") || req.query.access_token || "").toString().trim();
+}
+
+// constant-time compare of two tokens (by their hashes, so lengths don't leak)
+function sameToken(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(sha256(a), "hex"), Buffer.from(sha256(b), "hex"));
+}
+
+/**
+ * Guard for operator routes (theme writes, retention, /metrics, /health/deep):
+ * the caller must send one of `keys` (Bearer / X-API-Key), whatever AUTH_MODE
+ * says. With no key configured the routes are closed (403 admin_disabled).
+ * Sets req.auth = { tenant: null, via: "admin_key" }.
+ */
+export function createKeyGuard(keys) {
+  const accepted = keys.filter(Boolean);
+  // does the request carry one of the keys? (for routes open to tenants too)
+  const matches = (req) => {
+    const token = tokenFrom(req);
+    return !!token && accepted.some((key) => sameToken(token, key));
+  };
+  function keyGuard(req, res, next) {
+    if (!accepted.length) return res.status(403).json({ ok: false, error: "admin_disabled" });
+    if (!matches(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+    req.auth = { tenant: null, via: "admin_key" };
+    next();
+  }
+  keyGuard.matches = matches;
+  return keyGuard;
+}
+
+/**
+ * -> { enabled, authenticate(token), middleware }
+ * `authenticate` resolves to { tenant, via } or null.
+ */
+export function createAuth({ enabled, apiKeys = new Map(), jwtSecret, supabase } = {}) {
+  const userCache = new Map(); // sha256(token) -> { auth, expires }
+
+  async function fromSupabase(token) {
+    const cacheKey = sha256(token);
+    const cached = userCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return cached.auth;
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return null;
+
+    const auth = {
+      tenant: String(data.user.app_metadata?.tenant_id || data.user.id),
+      via: "jwt",
+    };
+    userCache.set(cacheKey, { auth, expires: Date.now() + USER_CACHE_MS });
+    if (userCache.size > 1000) userCache.delete(userCache.keys().next().value);
+    return auth;
+  }
+
+  async function authenticate(token) {
+    if (!token) return null;
+
+    const keyTenant = apiKeys.get(sha256(token));
+    if (keyTenant) return { tenant: keyTenant, via: "api_key" };
+
+    if (token.split(".").length !== 3) return null;
+    if (jwtSecret) {
+      const claims = verifyJwt(token, jwtSecret);
+      return claims ? { tenant: tenantOfClaims(claims), via: "jwt" } : null;
+    }
+    if (supabase) return fromSupabase(token);
+    return null;
+  }
+
+  async function middleware(req, res, next) {
+    if (!enabled) {
+      req.auth = { tenant: null, via: "none" };
+      return next();
+    }
+
+    let auth;
+    try {
+      auth = await authenticate(tokenFrom(req));
+    } catch (e) {
+      logger.error("verification failed", { component: "auth", requestId: req.id, err: e });
+      return res.status(503).json({ ok: false, error: "auth_unavailable" });
+    }
+    if (!auth) return res.status(401).json({ ok: false, error: "unauthorized" });
+    if (!TENANT_RE.test(auth.tenant)) {
+      return res.status(403).json({ ok: false, error: "invalid_tenant" });
+    }
+
+    req.auth = auth;
+    next();
+  }
+
+  return { enabled, authenticate, middleware };
+}
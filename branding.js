@@ -0,0 +1,318 @@
+import fs from "fs/promises";
+import { fitFilter } from "./presets.js";
+
+/**
+ * Brand overlays (per theme, overridable per batch)
+ *
+ *   "branding": {
+ *     "logo": {
+ *       "asset": "asset_…",        image asset (see assets.js)
+ *       "position": "top-right",   see POSITIONS
+ *       "opacity": 0.85,           0–1
+ *       "scale": 0.18,             logo width / output width
+ *       "margin": 0.04             distance from the edges / output width
+ *     },
+ *     "text": [                    burned-in text, up to 3 entries
+ *       { "text": "18+", "position": "top-left" },
+ *       { "source": "caption", "position": "bottom", "size": 0.04,
+ *         "color": "white", "box": true }
+ *     ],
+ *     "intro": "asset_…",          video assets joined before / after each output
+ *     "outro": "asset_…"
+ *   }
+ *
+ * A batch's `branding` is merged key by key over the theme's (`null` drops a
+ * key, `false` turns branding off). Text uses the bundled DejaVu Sans Bold;
+ * sizes are relative so one config fits every preset.
+ */
+export const POSITIONS = [
+  "top-left",
+  "top",
+  "top-right",
+  "center",
+  "bottom-left",
+  "bottom",
+  "bottom-right",
+];
+const TEXT_SOURCES = ["static", "caption"];
+const ASSET_ID_RE = /^asset_[A-Za-z0-9_-]{10}$/;
+const COLOR_RE = /^(#[0-9a-fA-F]{6}|[a-zA-Z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+const MAX_TEXTS = 3;
+const MAX_TEXT_LENGTH = 300;
+const MAX_CAPTION_LINES = 4;
+const BRANDING_KEYS = ["logo", "text", "intro", "outro"];
+
+export function isAssetId(value) {
+  return ASSET_ID_RE.test(String(value || ""));
+}
+
+// -> list of problems (empty when usable); `label` prefixes them (theme vs request)
+export function validateBranding(b, label = "branding") {
+  if (b == null || b === false) return [];
+  if (typeof b !== "object" || Array.isArray(b)) return [`${label}_must_be_an_object`];
+
+  const errors = [];
+  const fraction = (v, min, max) => v == null || (Number(v) >= min && Number(v) <= max);
+
+  for (const key of Object.keys(b)) {
+    if (!BRANDING_KEYS.includes(key)) errors.push(`${label}.${key}_is_not_supported`);
+  }
+
+  if (b.logo != null) {
+    const logo = b.logo;
+    if (typeof logo !== "object" || Array.isArray(logo)) {
+      errors.push(`${label}.logo_must_be_an_object`);
+    } else {
+      if (!isAssetId(logo.asset)) errors.push(`${label}.logo.asset_must_be_an_asset_id`);
+      if (logo.position != null && !POSITIONS.includes(logo.position))
+        errors.push(`${label}.logo.position_must_be_one_of_${POSITIONS.join("_")}`);
+      if (!fraction(logo.opacity, 0, 1))
+        errors.push(`${label}.logo.opacity_must_be_between_0_and_1`);
+      if (!fraction(logo.scale, 0.02, 1))
+        errors.push(`${label}.logo.scale_must_be_between_0.02_and_1`);
+      if (!fraction(logo.margin, 0, 0.3))
+        errors.push(`${label}.logo.margin_must_be_between_0_and_0.3`);
+    }
+  }
+
+  if (b.text != null) {
+    const texts = Array.isArray(b.text) ? b.text : [b.text];
+    if (texts.length > MAX_TEXTS) errors.push(`${label}.text_allows_at_most_${MAX_TEXTS}_entries`);
+    texts.forEach((t, n) => {
+      const at = `${label}.text[${n}]`;
+      if (!t || typeof t !== "object" || Array.isArray(t)) {
+        errors.push(`${at}_must_be_an_object`);
+        return;
+      }
+      const source = t.source || "static";
+      if (!TEXT_SOURCES.includes(source))
+        errors.push(`${at}.source_must_be_one_of_${TEXT_SOURCES.join("_")}`);
+      if (
+        source === "static" &&
+        (typeof t.text !== "string" || !t.text.trim() || t.text.length > MAX_TEXT_LENGTH)
+      )
+        errors.push(`${at}.text_must_be_a_string_of_1_${MAX_TEXT_LENGTH}_chars`);
+      if (t.position != null && !POSITIONS.includes(t.position))
+        errors.push(`${at}.position_must_be_one_of_${POSITIONS.join("_")}`);
+      if (!fraction(t.size, 0.01, 0.2)) errors.push(`${at}.size_must_be_between_0.01_and_0.2`);
+      if (!fraction(t.margin, 0, 0.3)) errors.push(`${at}.margin_must_be_between_0_and_0.3`);
+      if (t.color != null && !COLOR_RE.test(String(t.color)))
+        errors.push(`${at}.color_must_look_like_white_or_#ffcc00`);
+      if (t.box != null && typeof t.box !== "boolean") errors.push(`${at}.box_must_be_a_boolean`);
+    });
+  }
+
+  for (const key of ["intro", "outro"]) {
+    if (b[key] != null && !isAssetId(b[key]))
+      errors.push(`${label}.${key}_must_be_an_asset_id`);
+  }
+  return errors;
+}
+
+/**
+ * Theme branding + batch override -> complete branding with defaults filled
+ * in, or null when nothing is left to apply.
+ */
+export function mergeBranding(base, override) {
+  if (override === false) return null;
+  const merged = { ...(base || {}) };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+
+  const branding = {};
+  if (merged.logo) {
+    branding.logo = {
+      asset: merged.logo.asset,
+      position: merged.logo.position || "top-right",
+      opacity: Number(merged.logo.opacity ?? 0.85),
+      scale: Number(merged.logo.scale ?? 0.18),
+      margin: Number(merged.logo.margin ?? 0.04),
+    };
+  }
+  if (merged.text) {
+    branding.text = (Array.isArray(merged.text) ? merged.text : [merged.text]).map((t) => ({
+      source: t.source || "static",
+      ...(t.source === "caption" ? {} : { text: t.text.trim() }),
+      position: t.position || "bottom",
+      size: Number(t.size ?? 0.045),
+      margin: Number(t.margin ?? 0.06),
+      color: t.color || "white",
+      box: t.box ?? true,
+    }));
+  }
+  if (merged.intro) branding.intro = merged.intro;
+  if (merged.outro) branding.outro = merged.outro;
+  return Object.keys(branding).length ? branding : null;
+}
+
+// Asset ids a branding config points at
+export function brandingAssetIds(branding) {
+  return [branding?.logo?.asset, branding?.intro, branding?.outro].filter(Boolean);
+}
+
+// x:y of something `ow` x `oh` big inside a `fw` x `fh` frame
+function place(position, margin, fw, fh, ow, oh) {
+  const [v, h] = position.includes("-")
+    ? position.split("-")
+    : position === "center"
+      ? ["center", "center"]
+      : [position, "center"];
+  const x = h === "left" ? margin : h === "right" ? `${fw}-${ow}-${margin}` : `(${fw}-${ow})/2`;
+  const y = v === "top" ? margin : v === "bottom" ? `${fh}-${oh}-${margin}` : `(${fh}-${oh})/2`;
+  return { x, y };
+}
+
+// Filter arguments are quoted; our own temp / repo paths never contain quotes
+function quotePath(p) {
+  if (p.includes("'")) throw new Error("branding_path_not_supported");
+  return `'${p}'`;
+}
+
+// DejaVu has no emoji: drop them instead of burning in empty boxes
+function burnableText(text) {
+  return String(text || "")
+    .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\uFE0F\u200D]/gu, "")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+// Greedy word wrap; drawtext doesn't wrap by itself
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(" ").filter(Boolean)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s*\S*$/, "")}…`;
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Writes the burned-in text of one output to `<filePrefix>_<n>.txt` (drawtext
+ * reads files, so captions need no escaping). Entries that end up empty
+ * (e.g. a caption in noCaptionMode) are skipped.
+ * -> [{ ...entry, file, fontSize }]
+ */
+export async function writeTextFiles({ texts, caption, preset, filePrefix }) {
+  const out = [];
+  for (const [n, t] of (texts || []).entries()) {
+    const fontSize = Math.max(8, Math.round(t.size * preset.width));
+    const margin = Math.round(t.margin * preset.width);
+    // ~0.6em per character for DejaVu Sans Bold
+    const maxChars = Math.max(8, Math.floor((preset.width - 2 * margin) / (fontSize * 0.6)));
+    const raw = t.source === "caption" ? caption : t.text;
+    const text = wrapText(burnableText(raw), maxChars, MAX_CAPTION_LINES);
+    if (!text) continue;
+
+    const file = `${filePrefix}_${n}.txt`;
+    await fs.writeFile(file, text, "utf8");
+    out.push({ ...t, file, fontSize });
+  }
+  return out;
+}
+
+/**
+ * -filter_complex for the main encode: `base` (fit + fps + eq chain) on input
+ * 0, the logo (input 1) on top, then every text entry. Output label: [v]
+ */
+export function overlayGraph({ preset, base, logo, texts = [], fontFile }) {
+  const parts = [];
+  let last = "base";
+  parts.push(`[0:v]${base}[base]`);
+
+  if (logo) {
+    const width = Math.max(2, Math.round((logo.scale * preset.width) / 2) * 2);
+    const margin = Math.round(logo.margin * preset.width);
+    const { x, y } = place(logo.position, margin, "W", "H", "w", "h");
+    parts.push(
+      `[1:v]scale=${width}:-1:flags=bicubic,format=rgba,` +
+        `colorchannelmixer=aa=${logo.opacity}[logo]`,
+      `[${last}][logo]overlay=x=${x}:y=${y}:format=auto[logoed]`
+    );
+    last = "logoed";
+  }
+
+  texts.forEach((t, n) => {
+    const margin = Math.round(t.margin * preset.width);
+    const { x, y } = place(t.position, margin, "w", "h", "text_w", "text_h");
+    const box = t.box
+      ? `:box=1:boxcolor=black@0.45:boxborderw=${Math.round(t.fontSize * 0.35)}`
+      : `:borderw=${Math.max(1, Math.round(t.fontSize / 16))}:bordercolor=black@0.7`;
+    parts.push(
+      `[${last}]drawtext=fontfile=${quotePath(fontFile)}:textfile=${quotePath(t.file)}` +
+        `:expansion=none:fontsize=${t.fontSize}:fontcolor=${t.color}` +
+        `:line_spacing=${Math.round(t.fontSize * 0.25)}:x=${x}:y=${y}${box}[text${n}]`
+    );
+    last = `text${n}`;
+  });
+
+  // rename the last label to [v]
+  parts[parts.length - 1] = parts[parts.length - 1].replace(/\[[a-z0-9]+\]$/, "[v]");
+  return parts.join(";");
+}
+
+/**
+ * ffmpeg input + filter args that join intro, main output and outro.
+ * `segments` = [{ path, duration, has_audio, fitted? }]; every segment is
+ * fitted to the preset (`fitted` ones are already that size) and brought to
+ * one frame rate. Silent segments get generated silence
+ * when the output has sound. -> args up to (not including) the codec options
+ */
+export function joinArgs({ segments, preset, fps, audio }) {
+  const inputs = [];
+  const filters = [];
+  const pads = [];
+  segments.forEach((s) => inputs.push("-i", s.path));
+
+  let nextInput = segments.length;
+  segments.forEach((s, k) => {
+    const fit = s.fitted ? `scale=${preset.width}:${preset.height}` : fitFilter(preset, String(k));
+    filters.push(`[${k}:v]${fit},fps=${fps},setsar=1,format=yuv420p[v${k}]`);
+    pads.push(`[v${k}]`);
+    if (!audio) return;
+
+    let source = `${k}:a`;
+    if (!s.has_audio) {
+      inputs.push(
+        "-f",
+        "lavfi",
+        "-t",
+        String(s.duration || 1),
+        "-i",
+        "anullsrc=r=48000:cl=stereo"
+      );
+      source = `${nextInput}:a`;
+      nextInput += 1;
+    }
+    filters.push(
+      `[${source}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo[a${k}]`
+    );
+    pads.push(`[a${k}]`);
+  });
+
+  filters.push(
+    `${pads.join("")}concat=n=${segments.length}:v=1:a=${audio ? 1 : 0}` +
+      (audio ? "[v][a]" : "[v]")
+  );
+  return [
+    ...inputs,
+    "-filter_complex",
+    filters.join(";"),
+    "-map",
+    "[v]",
+    ...(audio ? ["-map", "[a]"] : ["-an"]),
+  ];
+}
@@ -1,80 +1,217 @@
+import path from "path";
 import { nanoid } from "nanoid";
+import { getTheme } from "./themes.js";
+import { captionCandidates, poolSize, shuffle } from "./templates.js";
 
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+export const DEFAULT_LOCALE = "en";
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+// "sv_SE" / "SV-se" -> "sv-se"; null when it doesn't look like a locale
+export function normalizeLocale(value) {
+  const s = String(value ?? "").trim().toLowerCase().replaceAll("_", "-");
+  return LOCALE_RE.test(s) ? s : null;
+}
+
+/**
+ * Locale options from a request body (JSON or form-data):
+ *  - locale:    "sv"                         whole batch
+ *  - locales:   ["sv", "da"] or "sv,da"      assigned round-robin
+ *  - localeMap: { "<path or file name>": "de" } (object or JSON string)
+ * -> { options: { locale, locales, localeMap }, invalid: [...] }
+ */
+export function parseLocaleOptions(src = {}) {
+  const invalid = [];
+  const check = (v) => {
+    const l = normalizeLocale(v);
+    if (!l) invalid.push(String(v));
+    return l;
+  };
+
+  const locale = src.locale ? check(src.locale) : null;
+
+  const rawList = Array.isArray(src.locales)
+    ? src.locales
+    : String(src.locales ?? "").split(",");
+  const locales = rawList
+    .map((v) => String(v).trim())
+    .filter(Boolean)
+    .map(check)
+    .filter(Boolean);
+
+  let rawMap = src.localeMap || {};
+  if (typeof rawMap === "string") {
+    try {
+      rawMap = JSON.parse(rawMap);
+    } catch {
+      invalid.push("localeMap");
+      rawMap = {};
+    }
+  }
+  const localeMap = {};
+  for (const [key, v] of Object.entries(rawMap || {})) {
+    const l = check(v);
+    if (l) localeMap[key] = l;
+  }
+
+  return { options: { locale, locales, localeMap }, invalid };
+}
+
+/**
+ * Locale per item. Priority: localeMap[key] (exact, then file name)
+ * -> locales round-robin -> locale -> "en".
+ * `keys` are the storage paths / uploaded file names, in batch order.
+ */
+export function resolveItemLocales({ keys, locale, locales = [], localeMap = {} }) {
+  return keys.map((key, i) => {
+    const k = String(key ?? "");
+    return (
+      localeMap[k] ||
+      localeMap[path.basename(k)] ||
+      (locales.length ? locales[i % locales.length] : null) ||
+      locale ||
+      DEFAULT_LOCALE
+    );
+  });
+}
+
+// Pools for one locale: exact match ("sv-se"), then language ("sv"), then English.
+// A locale with its own captions or templates uses only those (+ base slots).
+function localePools(pack, locale) {
+  const content = pack.locales[locale] || pack.locales[locale.split("-")[0]] || {};
+  const hasCaptions = !!(content.captions?.length || content.templates?.length);
+  const hashtags = content.hashtags?.length ? content.hashtags : null;
+
+  const source = hasCaptions
+    ? {
+        captions: content.captions || [],
+        templates: content.templates || [],
+        slots: { ...pack.slots, ...content.slots }
+      }
+    : { captions: pack.captions, templates: pack.templates, slots: pack.slots };
+
+  return {
+    source: { ...source, variables: pack.variables },
+    hashtags: shuffle(hashtags || pack.hashtags),
+    // English stood in for missing captions
+    fallback: locale !== DEFAULT_LOCALE && !hasCaptions
+  };
+}
+
+// Pull the next candidate that passes `accept` (generators are iterated by hand
+// so they stay open between items)
+function pull(iterator, accept) {
+  for (let r = iterator.next(); !r.done; r = iterator.next()) {
+    if (accept(r.value)) return r.value;
   }
-  return a;
+  return null;
 }
 
-const CAPTIONS = [
-  "That icy hit when you least expect it 🧊",
-  "One pouch and suddenly it’s a new personality.",
-  "This is your sign to switch the vibe.",
-  "Minty? Or *menace*? 😈",
-  "Clean look, questionable decisions.",
-  "POV: you’re “just chilling” but your pulse says otherwise.",
-  "If it’s too quiet… you know what to do.",
-  "The tiny habit that starts big energy.",
-  "Low effort. High effect.",
-  "Mood: ice-cold focus.",
-  "Not a phase. It’s a flavor profile.",
-  "When the vibe is crisp, everything else follows.",
-  "IYKYK… the pouch people get it.",
-  "A little pick-me-up, but make it subtle.",
-  "This isn’t a routine, it’s a ritual.",
-  "The quiet flex no one talks about.",
-  "One of those “don’t ask” habits.",
-  "Soft launch of bad influence.",
-  "Crisp taste, chaotic plans.",
-  "If you know, you *know*."
-];
-
-const HASHTAGS = [
-  "#fyp", "#foryou", "#viral", "#europe", "#eu",
-  "#snooze", "#snoozetok",
-  "#iceberg", "#maggie", "#pablo",
-  "#mint", "#ice", "#chillvibes", "#nightdrive", "#dailyvibes",
-  "#focusmode", "#energycheck", "#lowkey", "#aesthetic", "#cleanedit",
-  "#pouch", "#nic", "#prilla", "#icy"
-];
-
-export function makeBatchCaptions({ count, noCaptionMode, theme }) {
+/**
+ * `locales[i]` is the locale of item i (see resolveItemLocales); missing = "en".
+ * `exclude` holds captions to avoid (e.g. used by recent batches).
+ *
+ * Captions never repeat inside a batch while the pool (fixed captions +
+ * template expansions) lasts. When it runs short we first reuse excluded
+ * captions, then repeat; both are reported in `warnings`.
+ *
+ * Items: { caption, hashtags[], locale, locale_fallback }
+ */
+export function makeBatchCaptions({
+  count,
+  noCaptionMode,
+  theme,
+  locales = [],
+  exclude = new Set()
+}) {
+  const localeOf = (i) => locales[i] || DEFAULT_LOCALE;
+
   if (noCaptionMode) {
     return {
       id: `caps_${nanoid(6)}`,
-      items: Array.from({ length: count }).map(() => ({
+      items: Array.from({ length: count }).map((_, i) => ({
         caption: "",
-        hashtags: []
-      }))
+        hashtags: [],
+        locale: localeOf(i),
+        locale_fallback: false
+      })),
+      warnings: []
     };
   }
 
-  // Ensure unique captions per batch
-  const caps = shuffle(CAPTIONS);
-  const tags = shuffle(HASHTAGS);
+  // Caption + hashtag pools come from the theme pack (see themes.js)
+  const pack = getTheme(theme);
+  if (!pack) throw new Error(`unknown_theme ${theme}`);
+
+  const pools = new Map(); // locale -> pool state
 
   const items = [];
   for (let i = 0; i < count; i++) {
-    const caption = caps[i % caps.length];
+    const locale = localeOf(i);
+    if (!pools.has(locale)) {
+      const lp = localePools(pack, locale);
+      pools.set(locale, {
+        ...lp,
+        fresh: captionCandidates(lp.source),
+        reuse: null, // second pass that ignores `exclude`
+        used: [],
+        reusedRecent: 0,
+        repeated: 0
+      });
+    }
+    const p = pools.get(locale);
+    const n = p.used.length + p.repeated;
+
+    let caption = pull(p.fresh, (c) => !exclude.has(c));
+    if (caption === null && exclude.size) {
+      p.reuse = p.reuse || captionCandidates(p.source);
+      caption = pull(p.reuse, (c) => !p.used.includes(c));
+      if (caption !== null) p.reusedRecent += 1;
+    }
+    if (caption === null) {
+      // pool exhausted: cycle through what this batch already used
+      caption = p.used.length ? p.used[p.repeated % p.used.length] : "";
+      p.repeated += 1;
+    } else {
+      p.used.push(caption);
+    }
 
-    // 6–9 hashtags, no repeats inside the same item
+    const tags = p.hashtags;
+
+    // hashtagsPerItem (default 8), no repeats inside the same item
     const itemTags = [];
-    const needed = 8;
+    const needed = pack.hashtagsPerItem;
 
     // rotate the pool so we don’t repeat patterns too much
-    const start = (i * 3) % tags.length;
+    const start = (n * 3) % tags.length;
     const pool = [...tags.slice(start), ...tags.slice(0, start)];
 
     for (const t of pool) {
-      if (!itemTags.includes(t)) itemTags.push(t);
       if (itemTags.length >= needed) break;
+      if (!itemTags.includes(t)) itemTags.push(t);
     }
 
-    items.push({ caption, hashtags: itemTags });
+    items.push({ caption, hashtags: itemTags, locale, locale_fallback: p.fallback });
+  }
+
+  const warnings = [];
+  for (const [locale, p] of pools) {
+    if (p.reusedRecent) {
+      warnings.push({
+        code: "recent_captions_reused",
+        locale,
+        count: p.reusedRecent
+      });
+    }
+    if (p.repeated) {
+      warnings.push({
+        code: "caption_pool_exhausted",
+        locale,
+        needed: p.used.length + p.repeated,
+        unique: p.used.length,
+        pool_size: poolSize(p.source)
+      });
+    }
   }
 
-  return { id: `caps_${nanoid(6)}`, items };
-}
\ No newline at end of file
+  return { id: `caps_${nanoid(6)}`, items, warnings };
+}
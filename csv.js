@@ -1,4 +1,4 @@
-function escapeCsv(value) {
+export function escapeCsv(value) {
   const s = String(value ?? "");
   if (s.includes(",") || s.includes('"') || s.includes("\n") || s.includes("\r")) {
     return `"${s.replaceAll('"', '""')}"`;
@@ -6,41 +6,148 @@ function escapeCsv(value) {
   return s;
 }
 
+function hashtagsText(r) {
+  return Array.isArray(r.hashtags)
+    ? r.hashtags
+        .map(h => String(h).trim())
+        .filter(Boolean)
+        .join(" ")
+    : "";
+}
+
+// Caption + hashtags as ONE post text (what most schedulers expect)
+function postText(r) {
+  const caption = (r.caption || "").trim();
+  const hashtags = hashtagsText(r);
+
+  return caption && hashtags
+    ? `${caption}\n\n${hashtags}`
+    : caption || hashtags || "";
+}
+
+function videoUrlOf(r) {
+  return r.output_url || r.videoUrl || r.video_url || "";
+}
+
+// Cover columns only appear when the batch generated covers/previews
+function hasCovers(results) {
+  return results.some(r => r && r.thumbnail_url);
+}
+
+function hasPreviews(results) {
+  return results.some(r => r && r.preview_url);
+}
+
+// Date/time columns are filled when the batch had a `schedule` (see schedule.js);
+// publish_date / publish_time are local to the schedule's timezone
+function hasSchedule(results) {
+  return results.some(r => r && r.publish_date);
+}
+
+// Hootsuite: DD/MM/YYYY HH:mm, minutes must be a multiple of 5
+function hootsuiteDate(r) {
+  if (!r.publish_date) return "";
+  const [y, m, d] = r.publish_date.split("-");
+  const [hh, mm] = r.publish_time.split(":");
+  const minute = String(Math.floor(Number(mm) / 5) * 5).padStart(2, "0");
+  return `${d}/${m}/${y} ${hh}:${minute}`;
+}
+
+function toRows(header, results, toRow) {
+  const rows = results
+    .filter(r => r && videoUrlOf(r))
+    .map(r => toRow(r).map(escapeCsv).join(","));
+
+  return [header.join(","), ...rows].join("\n");
+}
+
 /**
  * Metricool AUTOLIST CSV
- * EXACTLY TWO COLUMNS:
  *  1. Text
  *  2. Picture Url 1 (direct public mp4 link)
+ *  3. Video Thumbnail Url (only when the batch has cover images)
+ *  4. Date, Time (YYYY-MM-DD, HH:mm; only when the batch has a schedule)
  */
 export function toCsv(results = []) {
-  const header = ["Text", "Picture Url 1"].join(",");
+  const covers = hasCovers(results);
+  const scheduled = hasSchedule(results);
+  // Metricool expects ONE text field
+  const header = ["Text", "Picture Url 1"];
+  if (covers) header.push("Video Thumbnail Url");
+  if (scheduled) header.push("Date", "Time");
 
-  const rows = results
-    .filter(r => r && (r.output_url || r.videoUrl || r.video_url))
-    .map((r) => {
-      const caption = (r.caption || "").trim();
-
-      const hashtags = Array.isArray(r.hashtags)
-        ? r.hashtags
-            .map(h => String(h).trim())
-            .filter(Boolean)
-            .join(" ")
-        : "";
-
-      // Metricool expects ONE text field
-      const text =
-        caption && hashtags
-          ? `${caption}\n\n${hashtags}`
-          : caption || hashtags || "";
-
-      const videoUrl =
-        r.output_url || r.videoUrl || r.video_url || "";
-
-      return [
-        escapeCsv(text),
-        escapeCsv(videoUrl)
-      ].join(",");
-    });
-
-  return [header, ...rows].join("\n");
-}
\ No newline at end of file
+  return toRows(header, results, r => {
+    const row = [postText(r), videoUrlOf(r)];
+    if (covers) row.push(r.thumbnail_url || "");
+    if (scheduled) row.push(r.publish_date || "", r.publish_time || "");
+    return row;
+  });
+}
+
+/**
+ * Buffer bulk upload CSV
+ * Text, Image URL, Video URL, Tags, Posting Time (YYYY-MM-DD HH:mm)
+ * (Tags are Buffer's internal labels, not hashtags; empty Posting Time = add to queue)
+ */
+export function toBufferCsv(results = []) {
+  return toRows(
+    ["Text", "Image URL", "Video URL", "Tags", "Posting Time"],
+    results,
+    r => [
+      postText(r),
+      "",
+      videoUrlOf(r),
+      "",
+      r.publish_date ? `${r.publish_date} ${r.publish_time}` : ""
+    ]
+  );
+}
+
+/**
+ * Later bulk upload CSV
+ * Caption, Media URL, Date, Time (empty Date/Time = unscheduled draft)
+ */
+export function toLaterCsv(results = []) {
+  return toRows(["Caption", "Media URL", "Date", "Time"], results, r => [
+    postText(r),
+    videoUrlOf(r),
+    r.publish_date || "",
+    r.publish_time || ""
+  ]);
+}
+
+/**
+ * Hootsuite Bulk Composer CSV
+ * Date (DD/MM/YYYY HH:mm), Message, Link (the mp4 goes in Link)
+ */
+export function toHootsuiteCsv(results = []) {
+  return toRows(["Date", "Message", "Link"], results, r => [
+    hootsuiteDate(r),
+    postText(r),
+    videoUrlOf(r)
+  ]);
+}
+
+/**
+ * Full-detail CSV (our own)
+ * idx, input_name, output_url, caption, hashtags (space separated)
+ * + thumbnail_url / preview_url when the batch generated them
+ * + publish_date, publish_time (local), publish_at (UTC) when it was scheduled
+ */
+export function toFullCsv(results = []) {
+  const covers = hasCovers(results);
+  const previews = hasPreviews(results);
+  const scheduled = hasSchedule(results);
+  const header = ["idx", "input_name", "output_url", "caption", "hashtags"];
+  if (covers) header.push("thumbnail_url");
+  if (previews) header.push("preview_url");
+  if (scheduled) header.push("publish_date", "publish_time", "publish_at");
+
+  return toRows(header, results, r => {
+    const row = [r.idx, r.input_name, videoUrlOf(r), (r.caption || "").trim(), hashtagsText(r)];
+    if (covers) row.push(r.thumbnail_url || "");
+    if (previews) row.push(r.preview_url || "");
+    if (scheduled) row.push(r.publish_date || "", r.publish_time || "", r.publish_at || "");
+    return row;
+  });
+}
@@ -0,0 +1,100 @@
+import path from "path";
+import fs from "fs/promises";
+import fssync from "fs";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { nanoid } from "nanoid";
+import { logger } from "./logger.js";
+
+/**
+ * Encode cache: finished outputs keyed by input content + encode settings
+ *
+ * The key is a SHA-256 over the input's content hash and everything that
+ * shapes the output (preset, level, branding, burned-in text), so an identical
+ * source submitted again is copied instead of re-encoded. Entries live in
+ * `dir` as
+ *   <key>.mp4    the encoded output
+ *   <key>.json   { key, size, createdAt, output }   (output = ffprobe metadata)
+ *
+ * Least recently used entries are removed once the cache grows past
+ * `maxBytes`; maxBytes 0 turns the cache off.
+ */
+export function createEncodeCache({ dir, maxBytes = 0 }) {
+  const enabled = maxBytes > 0;
+  const filesOf = (key) => ({
+    video: path.join(dir, `${key}.mp4`),
+    meta: path.join(dir, `${key}.json`),
+  });
+
+  // streamed, so big inputs never sit in memory
+  async function hashFile(filePath) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(fssync.createReadStream(filePath), hash);
+    return hash.digest("hex");
+  }
+
+  function keyOf(parts) {
+    return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+  }
+
+  // Copies a cached output to `destPath`. -> entry metadata, or null on a miss
+  async function restore(key, destPath) {
+    const files = filesOf(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(files.meta, "utf8"));
+      await fs.copyFile(files.video, destPath);
+    } catch {
+      return null;
+    }
+    // mtime = last use, for eviction
+    const now = new Date();
+    await fs.utimes(files.meta, now, now).catch(() => {});
+    return entry;
+  }
+
+  // Adds an output (best effort: a failed write only costs the cache entry)
+  async function store(key, filePath, { output = null } = {}) {
+    const files = filesOf(key);
+    const tmp = `${files.video}.${nanoid(6)}.part`;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.copyFile(filePath, tmp);
+      const { size } = await fs.stat(tmp);
+      await fs.rename(tmp, files.video);
+      // metadata last: an entry only counts once both files are there
+      await fs.writeFile(
+        files.meta,
+        JSON.stringify({ key, size, createdAt: Date.now(), output })
+      );
+      await prune();
+    } catch (e) {
+      logger.warn("store failed", { component: "encode-cache", key, err: e });
+      await fs.unlink(tmp).catch(() => {});
+    }
+  }
+
+  async function prune() {
+    const names = await fs.readdir(dir).catch(() => []);
+    const entries = [];
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const key = name.slice(0, -".json".length);
+      const files = filesOf(key);
+      try {
+        const [meta, video] = await Promise.all([fs.stat(files.meta), fs.stat(files.video)]);
+        entries.push({ files, size: video.size, usedAt: meta.mtimeMs });
+      } catch {}
+    }
+
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const e of entries) {
+      if (total <= maxBytes) break;
+      await fs.unlink(e.files.meta).catch(() => {});
+      await fs.unlink(e.files.video).catch(() => {});
+      total -= e.size;
+    }
+  }
+
+  return { enabled, hashFile, keyOf, restore, store };
+}
@@ -0,0 +1,79 @@
+import { logger } from "./logger.js";
+
+/**
+ * Per-batch event log for Server-Sent Events (GET /batch/:batchId/events)
+ *
+ * Every event gets an increasing id per batch. Subscribers pass the last id
+ * they saw (Last-Event-ID) and get everything after it replayed before live
+ * events, so reconnecting clients don't miss stages. Logs are dropped a while
+ * after the batch finished; the status endpoint/job store is the source of
+ * truth after that.
+ */
+const MAX_EVENTS_PER_BATCH = 5000;
+const KEEP_FINISHED_MS = 10 * 60 * 1000;
+
+const logs = new Map(); // batchId -> { seq, events: [], listeners: Set, finished }
+
+function logFor(batchId) {
+  let log = logs.get(batchId);
+  if (!log) {
+    log = { seq: 0, events: [], listeners: new Set(), finished: false };
+    logs.set(batchId, log);
+  }
+  return log;
+}
+
+export function emitBatchEvent(batchId, type, data) {
+  const log = logFor(batchId);
+  const event = { id: ++log.seq, type, data };
+
+  log.events.push(event);
+  if (log.events.length > MAX_EVENTS_PER_BATCH) log.events.shift();
+
+  for (const listener of log.listeners) {
+    try {
+      listener(event);
+    } catch (e) {
+      logger.error("listener failed", { component: "events", batchId, err: e });
+    }
+  }
+  return event;
+}
+
+// Mark the log finished (the "done" event has been emitted) and expire it later
+export function finishBatchEvents(batchId) {
+  const log = logs.get(batchId);
+  if (!log || log.finished) return;
+  log.finished = true;
+  setTimeout(() => {
+    if (logs.get(batchId) === log) logs.delete(batchId);
+  }, KEEP_FINISHED_MS).unref();
+}
+
+// A finished batch runs again (retry): start a fresh log so the old one's
+// expiry can't drop events of the new run
+export function restartBatchEvents(batchId) {
+  logs.delete(batchId);
+}
+
+export function hasBatchEvents(batchId) {
+  return logs.has(batchId);
+}
+
+/**
+ * Replays events after `lastEventId`, then forwards live ones.
+ * A lastEventId beyond the log (e.g. the process restarted and numbering
+ * began again) replays the whole log.
+ * -> unsubscribe()
+ */
+export function subscribeBatchEvents(batchId, lastEventId, listener) {
+  const log = logFor(batchId);
+  const after = lastEventId > log.seq ? 0 : lastEventId;
+
+  for (const event of log.events) {
+    if (event.id > after) listener(event);
+  }
+
+  log.listeners.add(listener);
+  return () => log.listeners.delete(listener);
+}
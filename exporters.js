@@ -0,0 +1,123 @@
+import {
+  toCsv,
+  toBufferCsv,
+  toLaterCsv,
+  toHootsuiteCsv,
+  toFullCsv,
+} from "./csv.js";
+
+/**
+ * Export registry: format name -> file written next to the clips.
+ * `render(results, meta)` returns the file body as a string.
+ */
+export const EXPORTERS = {
+  metricool: {
+    file: "captions.csv",
+    contentType: "text/csv",
+    render: (results) => toCsv(results),
+  },
+  buffer: {
+    file: "buffer.csv",
+    contentType: "text/csv",
+    render: (results) => toBufferCsv(results),
+  },
+  later: {
+    file: "later.csv",
+    contentType: "text/csv",
+    render: (results) => toLaterCsv(results),
+  },
+  hootsuite: {
+    file: "hootsuite.csv",
+    contentType: "text/csv",
+    render: (results) => toHootsuiteCsv(results),
+  },
+  full: {
+    file: "full.csv",
+    contentType: "text/csv",
+    render: (results) => toFullCsv(results),
+  },
+  json: {
+    file: "manifest.json",
+    contentType: "application/json",
+    render: (results, meta) =>
+      JSON.stringify(buildManifest({ ...meta, results }), null, 2),
+  },
+};
+
+export const DEFAULT_EXPORTS = ["metricool"];
+
+/**
+ * Accepts an array (JSON body) or a comma separated string (form-data).
+ * Returns { formats, unknown } with duplicates removed, order kept.
+ */
+export function parseExports(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+
+  const names = [
+    ...new Set(list.map((v) => String(v).trim().toLowerCase()).filter(Boolean)),
+  ];
+  if (!names.length) return { formats: [...DEFAULT_EXPORTS], unknown: [] };
+
+  return {
+    formats: names.filter((n) => EXPORTERS[n]),
+    unknown: names.filter((n) => !EXPORTERS[n]),
+  };
+}
+
+// -> [{ format, file, contentType, body }]
+export function renderExports(formats, results, meta = {}) {
+  return formats.map((format) => {
+    const exporter = EXPORTERS[format];
+    return {
+      format,
+      file: exporter.file,
+      contentType: exporter.contentType,
+      body: exporter.render(results, meta),
+    };
+  });
+}
+
+/**
+ * manifest.json (json export, always shipped inside the ZIP): batch settings +
+ * one entry per clip (file name inside the ZIP, public URL, caption, hashtags)
+ * + per-clip errors.
+ */
+export function buildManifest({
+  batchId,
+  level,
+  theme,
+  noCaptionMode,
+  locales,
+  presets,
+  branding,
+  schedule,
+  results,
+  errors,
+}) {
+  return {
+    batchId,
+    createdAt: new Date().toISOString(),
+    level,
+    theme,
+    noCaptionMode,
+    locales: locales || [],
+    presets: presets || [],
+    branding: branding || null,
+    schedule: schedule || null, // settings; publish times are per file
+    count: results.length,
+    files: results.map((r) => ({
+      idx: r.idx,
+      preset: r.preset,
+      file: r.file,
+      input_name: r.input_name,
+      output_url: r.output_url,
+      thumbnail_url: r.thumbnail_url ?? null,
+      preview_url: r.preview_url ?? null,
+      caption: r.caption,
+      hashtags: r.hashtags,
+      locale: r.locale,
+      publish_at: r.publish_at ?? null,
+    })),
+    errors: errors || [],
+  };
+}
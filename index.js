@@ -11,15 +11,41 @@ function releaseBatch() {
   activeBatches = Math.max(0, activeBatches - 1);
 }
 
-// ---- In-memory job store + FIFO queue (keeps UI snappy; avoids long-running HTTP requests)
+// ---- Job registry + FIFO queue (keeps UI snappy; avoids long-running HTTP requests)
+// `jobs` only holds live (queued/processing) jobs; every change is written through
+// to the durable jobStore so finished batches stay queryable after a restart.
 const jobs = new Map();
 const jobQueue = [];
+const jobAborts = new Map(); // batchId -> AbortController of the running job
+
+function persistJob(job) {
+  return jobStore.save(job).then(
+    () => true,
+    (e) => {
+      jobLog.error("persist failed", { batchId: job.batchId, err: e });
+      return false;
+    }
+  );
+}
+
+function touchJob(job) {
+  job.updatedAt = Date.now();
+  void persistJob(job);
+}
 
-function createJob({ batchId, payload }) {
+function createJob({ batchId, payload, owner = null, idempotencyKey = null, requestId = null }) {
   const job = {
     ok: true,
     batchId,
-    status: "queued", // queued | processing | done | error
+    owner, // tenant id (null while authentication is off)
+    idempotency_key: idempotencyKey, // Idempotency-Key header of the submit
+    request_id: requestId, // X-Request-Id of the submit, on the batch's log lines
+
+    // where clips, exports and the ZIP are uploaded in OUTPUT_BUCKET
+    output_prefix: owner
+      ? `tenants/${owner}/batches/${batchId}`
+      : `batches/${batchId}`,
+    status: "queued", // queued | processing | done | error | cancelled
     progress: 0,
     createdAt: Date.now(),
     updatedAt: Date.now(),
@@ -27,13 +53,37 @@ function createJob({ batchId, payload }) {
     results: [],
     errors: [],
     csv_url: null,
+    exports: [], // [{ format, file, url }]
     zip_url: null,
+    zip_progress: 0,
+    phase: null, // clips | zip (while processing)
     level: payload.level || "1",
     noCaptionMode: !!payload.noCaptionMode,
     theme: payload.theme || "snus",
+    presets: payload.presets || DEFAULT_PRESETS, // one output per clip per preset
+    branding: payload.branding || null, // theme + request branding (see branding.js)
+    // publish time per clip (see schedule.js): planned for every input on
+    // submit, re-planned over the clips that made it when the batch ends
+    schedule: payload.schedule
+      ? planSchedule(payload.schedule, payload.paths.map((_, i) => i), batchId)
+      : null,
+    locales: [], // distinct locales used in the batch
+    caption_warnings: [], // pool ran short (see makeBatchCaptions)
     count: 0,
+    // live while processing (see runJob): clips in flight with stage/progress,
+    // the lowest of them as current_clip/current_stage, throughput + ETA
+    current_clip: null,
+    current_stage: null,
+    clips_in_progress: [],
+    clips_per_min: null,
+    eta_s: null,
+    // completion webhook: status waiting | pending | delivered | failed,
+    // deliveries = one entry per attempt (see webhooks.js)
+    webhook: payload.callbackUrl ? { status: "waiting", deliveries: [] } : null,
   };
   jobs.set(batchId, job);
+  void persistJob(job);
+  emitBatchEvent(batchId, "status", { status: job.status });
   return job;
 }
 
@@ -63,10 +113,18 @@ async function processQueue() {
       // run job without blocking the queue loop
       void processOneJob(job)
         .catch((e) => {
-          console.error("[queue] job crashed", batchId, e);
+          jobLog.error("job crashed", { batchId, err: e });
         })
         .finally(() => {
           releaseBatch();
+          // SSE: final payload closes every /events stream of this batch
+          emitBatchEvent(batchId, "done", publicJob(job));
+          finishBatchEvents(batchId);
+          void notifyCallback(job);
+          // finished jobs are served from the store from now on
+          void persistJob(job).then((saved) => {
+            if (saved) jobs.delete(batchId);
+          });
           // kick again in case there are more jobs waiting
           void processQueue();
         });
@@ -81,21 +139,140 @@ import cors from "cors";
 import os from "os";
 import path from "path";
 import fs from "fs/promises";
-import fssync from "fs";
-import { pipeline } from "stream/promises";
-import { createWriteStream } from "fs";
 import { spawn } from "child_process";
 import ffmpegPath from "ffmpeg-static";
+import ffprobeStatic from "ffprobe-static";
 import { nanoid } from "nanoid";
 import { createClient } from "@supabase/supabase-js";
 
-import { makeBatchCaptions } from "./captions.js";
-import { toCsv } from "./csv.js";
+import {
+  makeBatchCaptions,
+  parseLocaleOptions,
+  resolveItemLocales,
+} from "./captions.js";
+import {
+  EXPORTERS,
+  DEFAULT_EXPORTS,
+  parseExports,
+  renderExports,
+  buildManifest,
+} from "./exporters.js";
+import { createJobStore } from "./jobstore.js";
+import { createStorage } from "./storage.js";
+import { createZipBundle } from "./zip.js";
+import { checkCallbackUrl, deliverWebhook, normalizeCallbackUrl } from "./webhooks.js";
+import { createAuth, createKeyGuard, parseApiKeys } from "./auth.js";
+import { checkInput, probeMedia } from "./probe.js";
+import { COVER_MODES, extractCover, renderPreview } from "./thumbnails.js";
+import { createAssetStore } from "./assets.js";
+import { createSemaphore, freeDisk, runPool, waitForResources } from "./pool.js";
+import { sweepOrphans } from "./sweep.js";
+import { isRetryable, statusOf, withRetry } from "./retry.js";
+import { logger } from "./logger.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createMetrics } from "./metrics.js";
+import { createEncodeCache } from "./encodecache.js";
+import {
+  brandingAssetIds,
+  joinArgs,
+  mergeBranding,
+  overlayGraph,
+  isAssetId,
+  validateBranding,
+  writeTextFiles,
+} from "./branding.js";
+import { normalizeSchedule, planSchedule, validateSchedule } from "./schedule.js";
+import {
+  DEFAULT_PRESETS,
+  audioArgs,
+  encodeArgs,
+  fitFilter,
+  getPreset,
+  listPresets,
+  loadPresets,
+  parsePresets,
+} from "./presets.js";
+import {
+  emitBatchEvent,
+  finishBatchEvents,
+  hasBatchEvents,
+  restartBatchEvents,
+  subscribeBatchEvents,
+} from "./events.js";
+import {
+  loadThemes,
+  getTheme,
+  listThemes,
+  publicTheme,
+  saveTheme,
+} from "./themes.js";
 
 const app = express();
 
+// ---- Logs (see logger.js) + metrics (see metrics.js, GET /metrics)
+const jobLog = logger.child({ component: "jobs" });
+const httpLog = logger.child({ component: "http" });
+
+const metrics = createMetrics({ prefix: "molle_" });
+const STAGE_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 240, 600];
+const metric = {
+  clips: metrics.counter("clips_total", "Clips finished, by result (done | error | cancelled)", [
+    "result",
+  ]),
+  batches: metrics.counter("batches_total", "Batches finished, by status", ["status"]),
+  stageSeconds: metrics.histogram(
+    "stage_duration_seconds",
+    "Duration of successful clip stages (download, probe, encode, probe_output, upload, thumbnail)",
+    ["stage"],
+    STAGE_BUCKETS
+  ),
+  batchSeconds: metrics.histogram(
+    "batch_duration_seconds",
+    "Batch run time, start of processing to finished",
+    ["status"],
+    [10, 30, 60, 300, 600, 1800, 3600, 7200, 14400]
+  ),
+  ffmpegFailures: metrics.counter("ffmpeg_failures_total", "Failed ffmpeg runs, by cause", [
+    "cause",
+  ]),
+  storageOps: metrics.counter(
+    "storage_operations_total",
+    "Storage transfers (after retries), by operation and result (ok | error)",
+    ["op", "result"]
+  ),
+  storageErrors: metrics.counter(
+    "storage_errors_total",
+    "Failed storage transfer attempts (retried ones included), by operation and cause",
+    ["op", "cause"]
+  ),
+  requests: metrics.counter("http_requests_total", "HTTP requests, by method and status", [
+    "method",
+    "status",
+  ]),
+};
+metrics.gauge("queue_length", "Batches waiting to start", () => jobQueue.length);
+metrics.gauge("active_batches", "Batches being processed", () => activeBatches);
+metrics.gauge("clips_in_flight", "Clips being processed, over all batches", () =>
+  [...jobs.values()].reduce((n, job) => n + (job.clips_in_progress?.length || 0), 0)
+);
+
+// Request id (X-Request-Id, taken from the caller when it sends one) on the
+// response and on every log line of the request (`req.log`); one line per request
 app.use((req, res, next) => {
-  console.log(`[REQ] ${req.method} ${req.path}`);
+  const incoming = String(req.get("x-request-id") || "");
+  req.id = /^[\w.:-]{1,64}$/.test(incoming) ? incoming : nanoid(12);
+  req.log = httpLog.child({ requestId: req.id });
+  res.setHeader("X-Request-Id", req.id);
+
+  const started = performance.now();
+  res.on("finish", () => {
+    metric.requests.inc({ method: req.method, status: res.statusCode });
+    req.log.info("request", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(performance.now() - started),
+    });
+  });
   next();
 });
 
@@ -114,7 +291,7 @@ const base44Regex = /^https:\/\/preview-sandbox--.*\.base44\.app$/;
 app.use(
   cors({
     origin: (origin, callback) => {
-      console.log("[CORS] origin:", origin);
+      httpLog.debug("cors", { origin });
 
       // Allow server-to-server & tools like curl/postman
       if (!origin) return callback(null, true);
@@ -126,8 +303,8 @@ app.use(
       return callback(null, false);
     },
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "Idempotency-Key"],
     optionsSuccessStatus: 204,
   })
 );
@@ -139,21 +316,287 @@ const PORT = process.env.PORT || 10000;
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const SUPABASE_BUCKET = process.env.SUPABASE_BUCKET || "outputs";
-const SUPABASE_INPUT_BUCKET = process.env.SUPABASE_INPUT_BUCKET || "inputs";
-
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  console.warn("[WARN] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
-}
 
 const supabase =
   SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
     ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
     : null;
 
+// ---- Storage (inputs + outputs). Without Supabase creds we default to a local
+// directory so the service also runs offline.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (supabase ? "supabase" : "local");
+const OUTPUT_BUCKET =
+  process.env.STORAGE_OUTPUT_BUCKET || process.env.SUPABASE_BUCKET || "outputs";
+const INPUT_BUCKET =
+  process.env.STORAGE_INPUT_BUCKET || process.env.SUPABASE_INPUT_BUCKET || "inputs";
+
+if (STORAGE_DRIVER === "supabase" && !supabase) {
+  logger.warn("missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY", { component: "storage" });
+}
+
+const storage = await createStorage({
+  driver: STORAGE_DRIVER,
+  supabase: {
+    client: supabase,
+    url: SUPABASE_URL,
+    serviceKey: SUPABASE_SERVICE_ROLE_KEY,
+    // files this big use resumable (chunked) uploads, 0 = never
+    resumableMinBytes: Number(process.env.RESUMABLE_UPLOAD_MIN_MB ?? 6) * 2 ** 20,
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    publicBaseUrl: process.env.S3_PUBLIC_BASE_URL,
+  },
+  local: {
+    root: process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), "storage"),
+    publicBaseUrl:
+      process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${PORT}/files`,
+  },
+});
+
+// Local driver: outputs are served by this process (inputs stay private)
+if (storage.driver === "local") {
+  app.use(
+    `/files/${OUTPUT_BUCKET}`,
+    express.static(storage.bucketPath(OUTPUT_BUCKET))
+  );
+}
+
+const JOB_STORE = process.env.JOB_STORE || "sqlite";
+const MAX_JOB_RESTARTS = Number(process.env.MAX_JOB_RESTARTS || 2);
+// Default for `avoidRecent`: skip captions used by the last N finished batches
+const CAPTION_AVOID_RECENT_BATCHES = Number(
+  process.env.CAPTION_AVOID_RECENT_BATCHES || 0
+);
+const MAX_AVOID_RECENT_BATCHES = 50;
+// Live progress (clips_in_progress, ETA) is persisted / pushed at most this often
+const PROGRESS_REPORT_MS = 1000;
+const ZIP_UPLOAD_TIMEOUT_MS = Number(
+  process.env.ZIP_UPLOAD_TIMEOUT_MS || 30 * 60 * 1000
+);
+// Storage transfers (downloads, uploads) are retried on transient errors with
+// exponential backoff + jitter; each attempt gets the full step timeout
+const RETRY_POLICY = {
+  maxAttempts: Math.max(1, Number(process.env.TRANSFER_MAX_ATTEMPTS || 4)),
+  baseDelayMs: Number(process.env.TRANSFER_RETRY_BASE_MS || 1000),
+  maxDelayMs: Number(process.env.TRANSFER_RETRY_MAX_MS || 30000),
+};
+
+// ---- Authentication + per-tenant quotas (see auth.js)
+// AUTH_MODE: off (default: existing frontends send no token) | auto (on when API
+// keys, a JWT secret or Supabase are configured) | required
+const AUTH_MODE = process.env.AUTH_MODE || "off";
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET || "";
+const authConfigured = apiKeys.size > 0 || !!SUPABASE_JWT_SECRET || !!supabase;
+if (AUTH_MODE === "required" && !authConfigured) {
+  throw new Error("AUTH_MODE=required needs API_KEYS, SUPABASE_JWT_SECRET or Supabase");
+}
+const auth = createAuth({
+  enabled: AUTH_MODE !== "off" && authConfigured,
+  apiKeys,
+  jwtSecret: SUPABASE_JWT_SECRET,
+  supabase,
+});
+if (!auth.enabled) {
+  logger.warn("authentication is OFF: every caller can start and read batches", {
+    component: "auth",
+  });
+}
+// operator routes (theme writes, ...) need ADMIN_API_KEY, even with auth off
+const adminOnly = createKeyGuard([process.env.ADMIN_API_KEY]);
+
+// 0 = unlimited; TENANT_QUOTAS overrides per tenant:
+// {"acme": {"files_per_batch": 100, "batches_per_day": 20}}
+const QUOTA_DEFAULTS = {
+  files_per_batch: Number(process.env.QUOTA_FILES_PER_BATCH || 0),
+  batches_per_day: Number(process.env.QUOTA_BATCHES_PER_DAY || 0),
+};
+const TENANT_QUOTAS = parseTenantQuotas(process.env.TENANT_QUOTAS);
+
+// Malformed config stops startup with one clear log line, not a stack trace
+function parseTenantQuotas(value) {
+  let quotas;
+  let reason;
+  try {
+    quotas = JSON.parse(value || "{}");
+  } catch (e) {
+    reason = e.message;
+  }
+  if (!quotas || typeof quotas !== "object" || Array.isArray(quotas)) {
+    logger.error("invalid TENANT_QUOTAS: expected a JSON object of tenant -> quotas", {
+      component: "config",
+      example: { acme: { files_per_batch: 100, batches_per_day: 20 } },
+      reason,
+    });
+    process.exit(1);
+  }
+  return quotas;
+}
+
+// Completion webhooks (see webhooks.js): `callback_url` per batch, or this default
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const DEFAULT_CALLBACK_URL = normalizeCallbackUrl(process.env.DEFAULT_CALLBACK_URL);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// callbacks to loopback/private hosts: only for local development
+const WEBHOOK_ALLOW_PRIVATE = String(process.env.WEBHOOK_ALLOW_PRIVATE || "").toLowerCase() === "true";
+if (process.env.DEFAULT_CALLBACK_URL && !DEFAULT_CALLBACK_URL) {
+  logger.warn("DEFAULT_CALLBACK_URL is not a http(s) URL, ignoring it", {
+    component: "webhooks",
+  });
+}
+if (DEFAULT_CALLBACK_URL && !WEBHOOK_SECRET) {
+  logger.warn("DEFAULT_CALLBACK_URL set without WEBHOOK_SECRET, callbacks are off", {
+    component: "webhooks",
+  });
+}
+
+const jobStore = await createJobStore({
+  driver: JOB_STORE,
+  sqlitePath:
+    process.env.JOB_STORE_PATH || path.join(process.cwd(), "data", "jobs.sqlite"),
+  supabase,
+  table: process.env.JOB_STORE_TABLE || "molle_jobs",
+});
+
+// ---- Input validation (ffprobe, see probe.js); 0 / empty = no limit, the
+// default for every limit (inputs are only rejected when the operator asks)
+const FFPROBE_PATH = process.env.FFPROBE_PATH || ffprobeStatic.path;
+const listEnv = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+const INPUT_LIMITS = {
+  maxDuration: Number(process.env.INPUT_MAX_DURATION_S || 0),
+  minDuration: Number(process.env.INPUT_MIN_DURATION_S || 0),
+  maxWidth: Number(process.env.INPUT_MAX_WIDTH || 0),
+  maxHeight: Number(process.env.INPUT_MAX_HEIGHT || 0),
+  minShortSide: Number(process.env.INPUT_MIN_SHORT_SIDE || 0),
+  maxBytes: Number(process.env.INPUT_MAX_BYTES || 0),
+  videoCodecs: listEnv(process.env.INPUT_VIDEO_CODECS),
+  requireAudio: process.env.INPUT_REQUIRE_AUDIO === "true",
+};
+
+// ---- Per-clip worker pool (see pool.js). Clips of a batch run in parallel;
+// the step limits are process-wide, so they also hold with several batches.
+const CPUS = os.availableParallelism?.() || os.cpus().length || 1;
+const ENCODE_CONCURRENCY = Number(
+  process.env.ENCODE_CONCURRENCY || Math.max(1, Math.floor(CPUS / 2))
+);
+// one more clip than encoders keeps downloads/uploads overlapping the encodes
+const CLIP_CONCURRENCY = Number(process.env.CLIP_CONCURRENCY || ENCODE_CONCURRENCY + 1);
+const DOWNLOAD_CONCURRENCY = Number(process.env.DOWNLOAD_CONCURRENCY || 4);
+const UPLOAD_CONCURRENCY = Number(process.env.UPLOAD_CONCURRENCY || 2);
+// total ffmpeg -threads, split across the parallel encodes
+const FFMPEG_THREADS = Number(process.env.FFMPEG_THREADS || Math.max(2, CPUS));
+const FFMPEG_THREADS_PER_ENCODE = Math.max(1, Math.floor(FFMPEG_THREADS / ENCODE_CONCURRENCY));
+// new clips wait while free memory / temp disk are below these (0 = off)
+const MIN_FREE_MEMORY_MB = Number(process.env.MIN_FREE_MEMORY_MB || 256);
+const MIN_FREE_DISK_MB = Number(process.env.MIN_FREE_DISK_MB || 1024);
+// disk a storage clip is assumed to take (input / output size unknown up front)
+const DISK_ESTIMATE_CLIP_MB = Number(process.env.DISK_ESTIMATE_CLIP_MB || 50);
+const downloadSlots = createSemaphore(DOWNLOAD_CONCURRENCY);
+const encodeSlots = createSemaphore(ENCODE_CONCURRENCY);
+const uploadSlots = createSemaphore(UPLOAD_CONCURRENCY);
+logger.info("worker pool", {
+  component: "pool",
+  clips_per_batch: CLIP_CONCURRENCY,
+  downloads: DOWNLOAD_CONCURRENCY,
+  encodes: ENCODE_CONCURRENCY,
+  threads_per_encode: FFMPEG_THREADS_PER_ENCODE,
+  uploads: UPLOAD_CONCURRENCY,
+});
+
+// ---- Encode cache (see encodecache.js): an input already encoded with the
+// same settings is copied instead of re-encoded
+const ENCODE_CACHE_MAX_MB = Number(process.env.ENCODE_CACHE_MAX_MB ?? 1024);
+const encodeCache = createEncodeCache({
+  dir: process.env.ENCODE_CACHE_DIR || path.join(os.tmpdir(), "content-molle-encode-cache"),
+  maxBytes: ENCODE_CACHE_MAX_MB * 2 ** 20,
+});
+// bump when runFfmpegLevel1 output changes, so old entries stop matching
+const ENCODE_CACHE_VERSION = 1;
+
+// ---- Idempotent submission: a repeated `Idempotency-Key` (per tenant) returns
+// the batch it created instead of starting another one
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 3600 * 1000;
+const submitting = new Set(); // keys whose first request is still being handled
+
+// ---- Orphaned temp files (see sweep.js): upload leftovers and batch temp dirs
+// no live job owns, removed on startup and every ORPHAN_SWEEP_INTERVAL_MIN
+const ORPHAN_SWEEP_INTERVAL_MIN = Number(process.env.ORPHAN_SWEEP_INTERVAL_MIN || 30);
+const ORPHAN_MIN_AGE_MIN = Number(process.env.ORPHAN_MIN_AGE_MIN || 60);
+let uploadsReceiving = 0; // /molle requests multer is still writing to disk
+
+// ---- Retention: outputs of finished batches older than RETENTION_DAYS are
+// deleted every RETENTION_INTERVAL_HOURS; the job record stays (outputs_deleted_at)
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 0); // 0 = keep forever
+// `days` a manual run may ask for: nothing younger than a day is deleted
+const MIN_RETENTION_DAYS = 1;
+const invalidRetentionDays = () => ({
+  ok: false,
+  error: "invalid_retention_days",
+  min: MIN_RETENTION_DAYS,
+});
+const RETENTION_INTERVAL_HOURS = Number(process.env.RETENTION_INTERVAL_HOURS || 24);
+// scheduled runs only log what they would delete
+const RETENTION_DRY_RUN = process.env.RETENTION_DRY_RUN === "true";
+const FINISHED_STATUSES = ["done", "error", "cancelled"];
+const JOB_STATUSES = ["queued", "processing", ...FINISHED_STATUSES];
+
+// ---- Brand assets + overlays (see assets.js, branding.js)
+const ASSETS_BUCKET = process.env.STORAGE_ASSETS_BUCKET || "assets";
+const assets = createAssetStore({
+  storage,
+  bucket: ASSETS_BUCKET,
+  cacheDir: path.join(os.tmpdir(), "content-molle-assets"),
+  ffprobePath: FFPROBE_PATH,
+});
+const BRANDING_FONT_FILE =
+  process.env.BRANDING_FONT_FILE ||
+  path.join(process.cwd(), "fonts", "DejaVuSans-Bold.ttf");
+
+const loadedPresets = await loadPresets(process.env.OUTPUT_PRESETS_FILE);
+logger.info("output presets loaded", {
+  component: "presets",
+  presets: loadedPresets.map((p) => p.id),
+});
+
+// bundled packs; the ones saved through PUT /themes/:id live in the assets bucket
+const THEMES_DIR = process.env.THEMES_DIR || path.join(process.cwd(), "themes");
+const loadedThemes = await loadThemes(THEMES_DIR, {
+  storage,
+  bucket: ASSETS_BUCKET,
+  cacheDir: path.join(os.tmpdir(), "content-molle-themes"),
+});
+logger.info("themes loaded", { component: "themes", themes: loadedThemes.map((t) => t.id) });
+
 // Health
 app.get("/", (req, res) => res.json({ ok: true, service: "content-molle" }));
 
+// Monitoring routes (/metrics, /health/deep) are process-wide: they take
+// METRICS_TOKEN (scraper, deploy gate) or ADMIN_API_KEY whatever AUTH_MODE says
+const monitoringOnly = createKeyGuard([process.env.METRICS_TOKEN, process.env.ADMIN_API_KEY]);
+
+// Prometheus scrape endpoint (see `metric` above)
+app.get("/metrics", monitoringOnly, (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Deep health check for deploy gates (see runDeepHealth): 200 when every check
+// passes, else 503. Concurrent calls share one run.
+let deepHealth = null;
+app.get("/health/deep", monitoringOnly, async (req, res) => {
+  deepHealth ||= runDeepHealth().finally(() => {
+    deepHealth = null;
+  });
+  const report = await deepHealth;
+  if (!report.ok) req.log.warn("deep health check failed", { checks: report.checks });
+  return res.status(report.ok ? 200 : 503).json(report);
+});
+
 // Upload handler (disk-based to avoid RAM spikes)
 const upload = multer({
   storage: multer.diskStorage({
@@ -173,455 +616,1617 @@ const upload = multer({
 });
 
 // ---- Main endpoint: batch mode (1–300)
-app.post("/molle", upload.array("videos", 300), async (req, res) => {
-  try {
-    if (!tryAcquireBatch()) {
-      return res
-        .status(429)
-        .json({
-          ok: false,
-          error: "busy",
-          message: "Server is processing another batch. Try again in a moment.",
-        });
-    }
-    if (!supabase)
-      return res
-        .status(500)
-        .json({ ok: false, error: "supabase_not_configured" });
-
+// Uploads are saved to disk and processed by the job queue like storage
+// batches; poll GET /batch/:batchId (or its /events) for the result.
+app.post(
+  "/molle",
+  auth.middleware,
+  idempotentSubmit("upload"),
+  checkDailyQuota,
+  checkUploadSpace,
+  upload.array("videos", 300),
+  async (req, res) => {
     const files = req.files || [];
+    const discardUploads = () =>
+      Promise.all(files.map((f) => f.path && fs.unlink(f.path).catch(() => {})));
 
-    // Defensive: ensure disk paths exist
-    for (const f of files) {
-      if (!f.path) {
-        return res
-          .status(400)
-          .json({ ok: false, error: "upload_missing_path" });
+    try {
+      // Defensive: ensure disk paths exist
+      for (const f of files) {
+        if (!f.path) {
+          await discardUploads();
+          return res
+            .status(400)
+            .json({ ok: false, error: "upload_missing_path" });
+        }
       }
-    }
 
-    if (!files.length)
-      return res.status(400).json({ ok: false, error: "no_videos_uploaded" });
+      if (!files.length)
+        return res.status(400).json({ ok: false, error: "no_videos_uploaded" });
 
-    // Settings from form-data
-    const noCaptionMode = req.body.noCaptionMode === "true";
-    const level = req.body.level || "1"; // only 1 supported right now
-    const theme = (req.body.theme || "snus").trim();
-    const maxCount = Math.min(files.length, 300);
+      const { options, error } = parseBatchOptions(req.body);
+      if (error) {
+        await discardUploads();
+        return res.status(400).json(error);
+      }
 
-    const batchId = `batch_${nanoid(10)}`;
-    const tmpDir = path.join(os.tmpdir(), batchId);
-    await fs.mkdir(tmpDir, { recursive: true });
+      const tooMany = filesQuotaError(req.auth.tenant, files.length);
+      if (tooMany) {
+        await discardUploads();
+        return res.status(403).json(tooMany);
+      }
 
-    const captionsPack = makeBatchCaptions({
-      count: maxCount,
-      noCaptionMode,
-      theme,
-    });
+      const branded = await resolveBranding(options.theme, options.branding, req.auth.tenant);
+      if (branded.error) {
+        await discardUploads();
+        return res.status(400).json(branded.error);
+      }
+      options.branding = branded.branding;
+
+      const badCallback = await callbackUrlError(options.callbackUrl);
+      if (badCallback) {
+        await discardUploads();
+        return res.status(400).json(badCallback);
+      }
+
+      // One directory per batch, removed when the job ends (see processOneJob)
+      const batchId = `batch_${nanoid(10)}`;
+      const uploadDir = path.join(UPLOADS_DIR, batchId);
+      await fs.mkdir(uploadDir, { recursive: true });
+      const uploads = [];
+      for (const f of files) {
+        const dest = path.join(uploadDir, path.basename(f.path));
+        await fs.rename(f.path, dest);
+        uploads.push(dest);
+      }
+
+      const job = createJob({
+        batchId,
+        owner: req.auth.tenant,
+        idempotencyKey: req.idempotencyKey,
+        requestId: req.id,
+        payload: {
+          source: "upload",
+          // original file names: input_name of the results + localeMap keys
+          paths: files.map((f) => f.originalname || path.basename(f.path)),
+          uploads,
+          uploadDir,
+          ...options,
+        },
+      });
+      enqueueJob(batchId);
 
-    const results = [];
+      return res.status(202).json(queuedResponse(job));
+    } catch (err) {
+      req.log.error("request failed", { err });
+      await discardUploads();
+      res
+        .status(500)
+        .json({ ok: false, error: "internal_error", message: err.message });
+    }
+  }
+);
 
-    for (let i = 0; i < maxCount; i++) {
-      const f = files[i];
-      // multer diskStorage provides a file path on disk
-      const inputPath = f.path;
-      const outPath = path.join(tmpDir, `out_${i}.mp4`);
+// ---- Alternative endpoint: process already-uploaded files from the input bucket (browser uploads directly)
+app.post(
+  "/molle-from-storage",
+  auth.middleware,
+  idempotentSubmit("storage"),
+  checkDailyQuota,
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const paths = Array.isArray(body.paths) ? body.paths : [];
+
+      req.log.info("storage batch received", {
+        paths: paths.length,
+        first: paths[0],
+        max_files: Number(process.env.MAX_FILES || 0),
+      });
 
-      // Level-1: tiny visual fingerprint changes, audio copied
-      await runFfmpegLevel1({ inputPath, outPath });
+      if (!paths.length)
+        return res.status(400).json({ ok: false, error: "no_paths_provided" });
 
-      const outBuf = await fs.readFile(outPath);
+      const { options, error } = parseBatchOptions(body);
+      if (error) return res.status(400).json(error);
 
-      // Upload mp4 to Supabase Storage
-      const objectPath = `batches/${batchId}/clip_${String(i + 1).padStart(
-        2,
-        "0"
-      )}.mp4`;
-      const publicUrl = await uploadToSupabase(objectPath, outBuf, "video/mp4");
+      const tooMany = filesQuotaError(req.auth.tenant, paths.length);
+      if (tooMany) return res.status(403).json(tooMany);
 
-      const cap = captionsPack.items[i]; // { caption, hashtags[] }
-      results.push({
-        idx: i,
-        input_name: f.originalname,
-        output_url: publicUrl,
-        caption: cap.caption,
-        hashtags: cap.hashtags,
+      const branded = await resolveBranding(options.theme, options.branding, req.auth.tenant);
+      if (branded.error) return res.status(400).json(branded.error);
+      options.branding = branded.branding;
+
+      const badCallback = await callbackUrlError(options.callbackUrl);
+      if (badCallback) return res.status(400).json(badCallback);
+
+      const batchId = `batch_${nanoid(10)}`;
+
+      const job = createJob({
+        batchId,
+        owner: req.auth.tenant,
+        idempotencyKey: req.idempotencyKey,
+        requestId: req.id,
+        payload: {
+          source: "storage",
+          // IMPORTANT: do NOT cap here; allow unlimited. If you want a safety cap,
+          // set MAX_FILES env and slice in processOneJob.
+          paths,
+          ...options,
+        },
       });
 
-      // Cleanup temp files to reduce disk usage
-      try {
-        await fs.unlink(inputPath);
-      } catch {}
-      try {
-        await fs.unlink(outPath);
-      } catch {}
+      // Enqueue and return immediately (prevents Render HTTP timeouts)
+      enqueueJob(batchId);
+
+      return res.status(202).json(queuedResponse(job));
+    } catch (err) {
+      req.log.error("request failed", { err });
+      return res
+        .status(500)
+        .json({ ok: false, error: "internal_error", message: err.message });
     }
+  }
+);
 
-    // CSV upload
-    const csv = toCsv(results);
-    const csvPath = `batches/${batchId}/captions.csv`;
-    const csvUrl = await uploadToSupabase(
-      csvPath,
-      Buffer.from(csv, "utf8"),
-      "text/csv"
-    );
+// ---- Output presets (see presets.js)
+app.get("/presets", (req, res) => {
+  return res.json({ ok: true, presets: listPresets() });
+});
 
-    return res.json({
-      ok: true,
-      batchId,
-      level,
-      noCaptionMode,
-      theme,
-      count: results.length,
-      csv_url: csvUrl,
-      zip_url: null,
-      results,
-    });
+// ---- Theme packs (see themes.js)
+app.get("/themes", (req, res) => {
+  return res.json({ ok: true, themes: listThemes() });
+});
+
+app.get("/themes/:id", (req, res) => {
+  const theme = getTheme(req.params.id);
+  if (!theme) return res.status(404).json(unknownThemeError(req.params.id));
+  return res.json({ ok: true, theme: publicTheme(theme) });
+});
+
+// Add or update a theme pack (body = the pack, same shape as the files in THEMES_DIR),
+// stored in the assets bucket. Themes are shared by every tenant, so only the
+// operator may write them.
+app.put("/themes/:id", adminOnly, async (req, res) => {
+  try {
+    // every tenant using the theme gets its branding: shared assets only
+    const missing = await missingBrandingAsset(req.body?.branding, isSharedAsset);
+    if (missing) return res.status(400).json(missing);
+
+    const { theme, created } = await saveTheme(req.params.id, req.body);
+    return res
+      .status(created ? 201 : 200)
+      .json({ ok: true, created, theme: publicTheme(theme) });
   } catch (err) {
-    console.error("[/molle] error:", err);
-    res
+    if (err.message === "invalid_theme") {
+      return res
+        .status(400)
+        .json({ ok: false, error: "invalid_theme", details: err.details });
+    }
+    req.log.error("request failed", { err });
+    return res
       .status(500)
       .json({ ok: false, error: "internal_error", message: err.message });
-  } finally {
-    releaseBatch();
   }
 });
 
-// ---- Alternative endpoint: process already-uploaded files from Supabase Storage (browser uploads directly)
-// Body: { paths: string[], noCaptionMode?: boolean|string, level?: string, theme?: string }
-// Returns immediately with a batchId; client polls GET /batch/:batchId
-app.post("/molle-from-storage", async (req, res) => {
+// ---- Brand assets (see assets.js): upload once, reference by id in `branding`
+// multipart field `file`: PNG/JPEG/WebP logo or a video for intros/outros.
+// Uploaded with ADMIN_API_KEY the asset is shared (no owner, usable in themes).
+const assetUploader = (req, res, next) =>
+  adminOnly.matches(req) ? adminOnly(req, res, next) : auth.middleware(req, res, next);
+
+app.post("/assets", assetUploader, checkUploadSpace, upload.single("file"), async (req, res) => {
+  const file = req.file;
+  if (!file?.path) return res.status(400).json({ ok: false, error: "no_file_uploaded" });
+
   try {
-    if (!supabase)
+    const asset = await assets.save({
+      filePath: file.path,
+      name: file.originalname,
+      owner: req.auth.tenant,
+    });
+    return res.status(201).json({ ok: true, asset });
+  } catch (err) {
+    if (err.message === "unsupported_asset") {
       return res
-        .status(500)
-        .json({ ok: false, error: "supabase_not_configured" });
-
-    const body = req.body || {};
-    const paths = Array.isArray(body.paths) ? body.paths : [];
-
-    console.log(
-      "[/molle-from-storage] received paths:",
-      paths.length,
-      "first:",
-      paths[0],
-      "MAX_FILES:",
-      Number(process.env.MAX_FILES || 0)
-    );
+        .status(400)
+        .json({ ok: false, error: "unsupported_asset", details: err.details });
+    }
+    req.log.error("request failed", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  } finally {
+    await fs.unlink(file.path).catch(() => {});
+  }
+});
 
-    if (!paths.length)
-      return res.status(400).json({ ok: false, error: "no_paths_provided" });
-
-    const noCaptionMode =
-      body.noCaptionMode === true || body.noCaptionMode === "true";
-    const level = body.level || "1";
-    const theme = (body.theme || "snus").trim();
-
-    const batchId = `batch_${nanoid(10)}`;
-
-    const job = createJob({
-      batchId,
-      payload: {
-        // IMPORTANT: do NOT cap here; allow unlimited. If you want a safety cap,
-        // set MAX_FILES env and slice in processOneJob.
-        paths,
-        noCaptionMode,
-        level,
-        theme,
-      },
-    });
+app.get("/assets/:id", auth.middleware, async (req, res) => {
+  const asset = isAssetId(req.params.id) ? await assets.get(req.params.id) : null;
+  if (!asset || !ownsAsset(asset, req.auth.tenant)) {
+    return res.status(404).json({ ok: false, error: "not_found" });
+  }
+  return res.json({ ok: true, asset });
+});
 
-    // Enqueue and return immediately (prevents Render HTTP timeouts)
-    enqueueJob(batchId);
+// Batch history, newest first. Filters: status (comma list), theme, from / to
+// (createdAt, ISO date or ms), paging with limit (<= 100) + offset.
+app.get("/batches", auth.middleware, async (req, res) => {
+  const q = req.query;
+  const statuses = q.status
+    ? String(q.status).split(",").map((v) => v.trim()).filter(Boolean)
+    : [];
+  const badStatus = statuses.filter((v) => !JOB_STATUSES.includes(v));
+  if (badStatus.length) {
+    return res.status(400).json({
+      ok: false,
+      error: "invalid_status",
+      unknown: badStatus,
+      available: JOB_STATUSES,
+    });
+  }
+  const from = parseTime(q.from);
+  const to = parseTime(q.to, { endOfDay: true });
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ ok: false, error: "invalid_date_range" });
+  }
+  const limit = Math.min(100, Math.max(1, Math.floor(Number(q.limit) || 20)));
+  const offset = Math.max(0, Math.floor(Number(q.offset) || 0));
 
-    return res.status(202).json({
-      ok: true,
-      batchId: job.batchId,
-      status: job.status,
-      queued: true,
-      level: job.level,
-      noCaptionMode: job.noCaptionMode,
-      theme: job.theme,
-      count: 0,
-      message: "queued",
+  let page;
+  try {
+    page = await jobStore.list({
+      owner: req.auth.tenant || undefined, // no tenant (auth off): every batch
+      statuses,
+      theme: q.theme ? String(q.theme).trim() : null,
+      from,
+      to,
+      limit,
+      offset,
     });
   } catch (err) {
-    console.error("[/molle-from-storage] error:", err);
+    req.log.error("store error", { err });
     return res
       .status(500)
       .json({ ok: false, error: "internal_error", message: err.message });
   }
+
+  return res.json({
+    ok: true,
+    // running batches: the live copy is fresher than the stored one
+    batches: page.jobs.map((j) => batchSummary(jobs.get(j.batchId) || j)),
+    total: page.total,
+    limit,
+    offset,
+    next_offset: offset + page.jobs.length < page.total ? offset + page.jobs.length : null,
+  });
 });
 
 // Job status polling endpoint
-app.get("/batch/:batchId", (req, res) => {
+app.get("/batch/:batchId", auth.middleware, async (req, res) => {
   const { batchId } = req.params;
-  const job = jobs.get(batchId);
+  let job;
+  try {
+    job = await findJob(batchId, req.auth);
+  } catch (err) {
+    req.log.error("store error", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
   if (!job) return res.status(404).json({ ok: false, error: "not_found" });
 
-  // return without payload to avoid leaking internal details
-  const {
-    payload, // eslint-disable-line no-unused-vars
-    ...publicJob
-  } = job;
-
-  return res.json(publicJob);
+  return res.json(publicJob(job));
 });
 
-async function processOneJob(job) {
-  job.status = "processing";
-  job.progress = 0;
-  job.updatedAt = Date.now();
-
-  const { paths } = job.payload;
-
-  // Optional safety cap (0 = unlimited). If you ever see (x/20) again, it's because
-  // MAX_FILES is set to 20 in Render envs.
-  const MAX_FILES = Number(process.env.MAX_FILES || 0);
+// Live progress (Server-Sent Events). One event per clip stage:
+// download_start, download_done, probe_done, encode_start, encode_done, upload_done,
+// clip_error (same shape as errors[]), plus status/progress (progress also
+// carries clips_in_progress + ETA, about once a second while encoding), and a
+// final `done` event carrying the job payload. Reconnects resume via Last-Event-ID.
+app.get("/batch/:batchId/events", auth.middleware, async (req, res) => {
+  const { batchId } = req.params;
+  let job;
+  try {
+    job = await findJob(batchId, req.auth);
+  } catch (err) {
+    req.log.error("store error", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+  if (!job) return res.status(404).json({ ok: false, error: "not_found" });
 
-  const workPaths =
-    MAX_FILES > 0 && paths.length > MAX_FILES ? paths.slice(0, MAX_FILES) : paths;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+  });
+  res.flushHeaders();
 
-  const maxCount = workPaths.length;
+  const writeEvent = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+  };
 
-  if (MAX_FILES > 0 && paths.length > MAX_FILES) {
-    console.warn(
-      `[molle-from-storage] TRUNCATED: received ${paths.length} paths, processing only ${MAX_FILES}. ` +
-        `Unset MAX_FILES (or set to 0) to run unlimited.`
-    );
+  // Finished and its event log already expired (or from before a restart)
+  if (!jobs.has(batchId) && !hasBatchEvents(batchId)) {
+    writeEvent({ type: "done", data: publicJob(job) });
+    return res.end();
   }
 
-  const noCaptionMode = !!job.payload.noCaptionMode;
-  const level = job.payload.level || "1";
-  const theme = (job.payload.theme || "snus").trim();
-
-  const batchId = job.batchId;
-
-  const tmpDir = path.join(os.tmpdir(), batchId);
-  await fs.mkdir(tmpDir, { recursive: true });
+  const lastEventId =
+    Number(req.get("Last-Event-ID") || req.query.lastEventId || 0) || 0;
+
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    res.end();
+  };
 
-  const captionsPack = makeBatchCaptions({
-    count: maxCount,
-    noCaptionMode,
-    theme,
+  // replayed events are delivered synchronously, so a replayed `done` can
+  // arrive before `unsubscribe` is assigned -> close() handles that via `?.`
+  unsubscribe = subscribeBatchEvents(batchId, lastEventId, (event) => {
+    if (closed) return;
+    writeEvent(event);
+    if (event.type === "done") close();
   });
+  if (closed) unsubscribe();
 
-  const results = [];
-  const errors = [];
+  req.on("close", close);
+});
 
-  for (let i = 0; i < maxCount; i++) {
-    const storagePath = String(workPaths[i] || "").trim();
-    if (!storagePath) {
-      errors.push({
-        idx: i,
-        input_path: storagePath,
-        stage: "validate",
-        message: "invalid_path",
-      });
-      job.progress = Math.round(((i + 1) / maxCount) * 100);
-      job.updatedAt = Date.now();
-      continue;
+// Cancel a batch. Queued: dropped from the queue. Processing: the running
+// clip's ffmpeg is killed, the remaining clips are skipped and temp files
+// removed; clips already uploaded stay in results.
+app.post("/batch/:batchId/cancel", auth.middleware, async (req, res) => {
+  const { batchId } = req.params;
+  let job;
+  try {
+    job = await findJob(batchId, req.auth);
+  } catch (err) {
+    req.log.error("store error", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+  if (!job) return res.status(404).json({ ok: false, error: "not_found" });
+  if (jobs.get(batchId) !== job) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "not_cancellable", status: job.status });
+  }
+
+  if (job.status === "queued") {
+    const pos = jobQueue.indexOf(batchId);
+    if (pos !== -1) jobQueue.splice(pos, 1);
+    // never started: every clip can be resumed with POST /batch/:id/retry
+    // (a queued retry keeps the errors it was going to re-run)
+    if (!job.payload.retryIdx) {
+      job.errors = job.payload.paths.map((p, idx) => ({
+        idx,
+        input_path: String(p || ""),
+        stage: "cancelled",
+        code: "cancelled",
+        message: "cancelled",
+      }));
     }
+    job.status = "cancelled";
+    job.cancelled_at = Date.now();
+    delete job.payload.retryIdx;
+    touchJob(job);
+    await removeUploads(job);
+    emitBatchEvent(batchId, "done", publicJob(job));
+    finishBatchEvents(batchId);
+    void persistJob(job).then((saved) => {
+      if (saved) jobs.delete(batchId);
+    });
+    return res.json({ ok: true, batchId, status: job.status });
+  }
 
-    const inputPath = path.join(tmpDir, `in_${i}.mp4`);
-    const outPath = path.join(tmpDir, `out_${i}.mp4`);
+  // exports + ZIP are being written: let the batch finish instead of
+  // leaving half-uploaded files behind
+  if (job.phase === "zip") {
+    return res.status(409).json({ ok: false, error: "finalizing", status: job.status });
+  }
 
-    try {
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) download start`,
-        storagePath
-      );
-      await withTimeout(
-        downloadFromSupabaseInputs(storagePath, inputPath),
-        120000,
-        "download_timeout"
-      );
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) download done`,
-        inputPath
-      );
+  const abort = jobAborts.get(batchId);
+  if (!abort) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "not_cancellable", status: job.status });
+  }
+  if (!abort.signal.aborted) {
+    job.cancel_requested = true;
+    touchJob(job);
+    emitBatchEvent(batchId, "status", { status: "cancelling" });
+    abort.abort(new Error("cancelled"));
+  }
+  return res.status(202).json({ ok: true, batchId, status: "cancelling" });
+});
 
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) ffmpeg start`,
-        inputPath
-      );
-      await withTimeout(
-        runFfmpegLevel1({ inputPath, outPath }),
-        240000,
-        "ffmpeg_timeout"
-      );
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) ffmpeg done`,
-        outPath
-      );
+// Re-run only the clips listed in errors[] of a finished batch. New results
+// are merged with the existing ones and the exports + ZIP are regenerated.
+app.post("/batch/:batchId/retry", auth.middleware, async (req, res) => {
+  const { batchId } = req.params;
+  let job;
+  try {
+    job = await findJob(batchId, req.auth);
+  } catch (err) {
+    req.log.error("store error", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+  if (!job) return res.status(404).json({ ok: false, error: "not_found" });
+  if (jobs.has(batchId)) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "batch_in_progress", status: job.status });
+  }
+  if (job.payload?.source === "upload") {
+    // uploaded (POST /molle) inputs are deleted once the batch ends
+    return res.status(409).json({ ok: false, error: "not_retryable" });
+  }
+  if (job.outputs_deleted_at) {
+    // the clips kept in the new ZIP are gone
+    return res.status(409).json({ ok: false, error: "outputs_deleted" });
+  }
 
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) upload start`,
-        outPath
-      );
+  const retryIdx = [
+    ...new Set(
+      (job.errors || []).map((e) => e.idx).filter((i) => Number.isInteger(i))
+    ),
+  ].sort((a, b) => a - b);
+  if (!retryIdx.length) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "nothing_to_retry", status: job.status });
+  }
 
-      const objectPath = `batches/${batchId}/clip_${String(i + 1).padStart(
-        2,
-        "0"
-      )}.mp4`;
+  job.payload.retryIdx = retryIdx;
+  job.status = "queued";
+  job.progress = 0;
+  job.zip_progress = 0;
+  job.phase = null;
+  job.retries = (job.retries || 0) + 1;
+  if (job.webhook) job.webhook.status = "waiting";
+  delete job.cancel_requested;
+  delete job.cancelled_at;
+
+  restartBatchEvents(batchId);
+  jobs.set(batchId, job);
+  touchJob(job);
+  emitBatchEvent(batchId, "status", { status: job.status });
+  enqueueJob(batchId);
 
-      // Stream upload (avoids loading whole MP4 into RAM)
-      const publicUrl = await withTimeout(
-        uploadFileStreamToSupabase(objectPath, outPath, "video/mp4"),
-        180000,
-        "upload_timeout"
-      );
+  return res.status(202).json({
+    ok: true,
+    batchId,
+    status: job.status,
+    retrying: retryIdx,
+  });
+});
 
-      console.log(
-        `[molle-from-storage] (${i + 1}/${maxCount}) upload done`,
-        publicUrl
-      );
+// Delete a finished batch: every stored object under its output prefix, then
+// the job record. Running batches have to be cancelled first.
+app.delete("/batch/:batchId", auth.middleware, async (req, res) => {
+  const { batchId } = req.params;
+  let job;
+  try {
+    job = await findJob(batchId, req.auth);
+  } catch (err) {
+    req.log.error("store error", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+  if (!job) return res.status(404).json({ ok: false, error: "not_found" });
+  if (jobs.has(batchId)) {
+    return res
+      .status(409)
+      .json({ ok: false, error: "batch_in_progress", status: job.status });
+  }
 
-      const cap = captionsPack.items[i];
-      results.push({
-        idx: i,
-        input_name: path.basename(storagePath),
-        input_path: storagePath,
-        output_url: publicUrl,
-        caption: cap.caption,
-        hashtags: cap.hashtags,
-      });
-    } catch (e) {
-      console.error(
-        `[molle-from-storage] (${i + 1}/${maxCount}) error`,
-        storagePath,
-        e
-      );
-      errors.push({
+  try {
+    const deleted = await deleteBatchOutputs(job);
+    await jobStore.remove(batchId);
+    restartBatchEvents(batchId); // drops the event log
+    req.log.info("batch deleted", { batchId, objects: deleted.objects, bytes: deleted.bytes });
+    return res.json({ ok: true, batchId, deleted });
+  } catch (err) {
+    req.log.error("delete failed", { batchId, err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+});
+
+// Retention policy + what a run would delete now (`days` previews another age)
+app.get("/retention", adminOnly, async (req, res) => {
+  if (req.query.days == null && !(RETENTION_DAYS > 0)) {
+    return res.json({ ok: true, retention_days: RETENTION_DAYS, report: null });
+  }
+  const days = req.query.days != null ? Number(req.query.days) : RETENTION_DAYS;
+  if (!(days >= MIN_RETENTION_DAYS)) return res.status(400).json(invalidRetentionDays());
+  try {
+    const report = await runRetention({ days, dryRun: true });
+    return res.json({ ok: true, retention_days: RETENTION_DAYS, report });
+  } catch (err) {
+    req.log.error("request failed", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+});
+
+// Apply the retention policy now; `dry_run` reports. Operator only: it
+// deletes the outputs of every tenant.
+app.post("/retention/run", adminOnly, async (req, res) => {
+  const body = req.body || {};
+  if (body.days == null && !(RETENTION_DAYS > 0)) {
+    return res.status(400).json({ ok: false, error: "retention_not_configured" });
+  }
+  const days = body.days != null ? Number(body.days) : RETENTION_DAYS;
+  if (!(days >= MIN_RETENTION_DAYS)) return res.status(400).json(invalidRetentionDays());
+  const dryRun = body.dry_run === true || body.dry_run === "true";
+  try {
+    const report = await runRetention({ days, dryRun });
+    return res.json({ ok: true, report });
+  } catch (err) {
+    req.log.error("request failed", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+});
+
+async function processOneJob(job) {
+  // POST /batch/:id/cancel aborts this: kills ffmpeg and stops transfers
+  const abort = new AbortController();
+  jobAborts.set(job.batchId, abort);
+  const started = performance.now();
+  batchLogger(job).info("batch start", {
+    source: job.payload.source,
+    inputs: job.payload.paths.length,
+  });
+  try {
+    await runJob(job, abort.signal);
+  } catch (e) {
+    // never leave a crashed batch in "processing"
+    if (job.status === "processing") {
+      job.errors = [
+        ...(job.errors || []),
+        { idx: null, ...clipFailure(e, "finalize") },
+      ];
+      job.phase = null;
+      job.status = "error";
+      touchJob(job);
+    }
+    throw e;
+  } finally {
+    jobAborts.delete(job.batchId);
+    // the live fields only mean something while clips are processed
+    clearLiveStatus(job);
+    await removeUploads(job);
+    // on every way out (done, cancel, crash), not just the happy path
+    await fs.rm(batchTmpDir(job.batchId), { recursive: true, force: true }).catch(() => {});
+
+    const seconds = (performance.now() - started) / 1000;
+    metric.batches.inc({ status: job.status });
+    metric.batchSeconds.observe({ status: job.status }, seconds);
+    batchLogger(job)[job.status === "error" ? "warn" : "info"]("batch finished", {
+      status: job.status,
+      outputs: job.results?.length || 0,
+      errors: job.errors?.length || 0,
+      duration_ms: Math.round(seconds * 1000),
+    });
+  }
+}
+
+// errors[] entry of a clip a cancel kept from running (retryable)
+function cancelledClipError(idx, inputPath) {
+  return {
+    idx,
+    input_path: String(inputPath || ""),
+    stage: "cancelled",
+    code: "cancelled",
+    message: "cancelled",
+  };
+}
+
+// Live status of runJob's clip phase (clips in flight, throughput, ETA)
+function clearLiveStatus(job) {
+  Object.assign(job, {
+    clips_in_progress: [],
+    current_clip: null,
+    current_stage: null,
+    clips_per_min: null,
+    eta_s: null,
+  });
+}
+
+// Log lines of a batch carry its id + the request that submitted it
+function batchLogger(job) {
+  return logger.child({
+    component: "batch",
+    batchId: job.batchId,
+    ...(job.request_id ? { requestId: job.request_id } : {}),
+  });
+}
+
+// Working dir of a running batch (inputs, outputs, ZIP)
+function batchTmpDir(batchId) {
+  return path.join(os.tmpdir(), batchId);
+}
+
+// Uploaded inputs (POST /molle) are kept until their batch ends
+async function removeUploads(job) {
+  if (!job.payload.uploadDir) return;
+  try {
+    await fs.rm(job.payload.uploadDir, { recursive: true, force: true });
+  } catch {}
+}
+
+async function runJob(job, signal) {
+  const log = batchLogger(job);
+  job.status = "processing";
+  job.progress = 0;
+  touchJob(job);
+  emitBatchEvent(job.batchId, "status", { status: job.status });
+
+  let noDisk;
+  try {
+    noDisk = await ensureJobDisk(job, signal, log);
+  } catch (e) {
+    if (!signal.aborted) throw e;
+    // cancelled while waiting for disk: nothing ran yet, every clip goes into
+    // errors[] for POST /batch/:id/retry (a retry's clips already are)
+    const errors = job.errors || [];
+    for (const i of job.payload.retryIdx || job.payload.paths.map((_, n) => n)) {
+      if (!errors.some((err) => err.idx === i)) {
+        errors.push(cancelledClipError(i, job.payload.paths[i]));
+      }
+    }
+    job.errors = errors.sort((a, b) => (a.idx ?? -1) - (b.idx ?? -1));
+    job.status = "cancelled";
+    job.cancelled_at = Date.now();
+    delete job.payload.retryIdx;
+    touchJob(job);
+    return;
+  }
+  if (noDisk) {
+    log.error("not enough disk", { ...noDisk.details });
+    job.errors = [...(job.errors || []), { idx: null, ...clipFailure(noDisk, "disk") }];
+    job.status = "error";
+    touchJob(job);
+    return;
+  }
+
+  const { paths } = job.payload;
+  const uploads = job.payload.source === "upload" ? job.payload.uploads : null;
+
+  // Optional safety cap (0 = unlimited). If you ever see (x/20) again, it's because
+  // MAX_FILES is set to 20 in Render envs.
+  const MAX_FILES = Number(process.env.MAX_FILES || 0);
+
+  const workPaths =
+    MAX_FILES > 0 && paths.length > MAX_FILES ? paths.slice(0, MAX_FILES) : paths;
+
+  const maxCount = workPaths.length;
+
+  if (MAX_FILES > 0 && paths.length > MAX_FILES) {
+    // Unset MAX_FILES (or set to 0) to run unlimited
+    log.warn("inputs truncated by MAX_FILES", { received: paths.length, max_files: MAX_FILES });
+  }
+
+  const noCaptionMode = !!job.payload.noCaptionMode;
+  const level = job.payload.level || "1";
+  const theme = (job.payload.theme || "snus").trim();
+  const exportFormats = job.payload.exports || DEFAULT_EXPORTS;
+  // presets were validated on submit; one removed from OUTPUT_PRESETS_FILE since is skipped
+  let presets = (job.payload.presets || DEFAULT_PRESETS).map(getPreset).filter(Boolean);
+  if (!presets.length) presets = DEFAULT_PRESETS.map(getPreset);
+  // several presets -> outputs, exports grouped in <preset>/ sub-folders
+  const multiPreset = presets.length > 1;
+  // logo / text / bumpers, resolved when the batch was submitted
+  const branding = job.payload.branding || null;
+  let brandAssets = null; // Promise, assets are fetched once per batch
+
+  const batchId = job.batchId;
+  const outputPrefix = outputPrefixOf(job);
+
+  const tmpDir = batchTmpDir(batchId);
+  await fs.mkdir(tmpDir, { recursive: true });
+
+  // Retry (POST /batch/:id/retry): only re-run the failed indices and keep
+  // everything that already succeeded
+  const retryIdx = job.payload.retryIdx || null;
+  const indices = retryIdx
+    ? retryIdx.filter((i) => i >= 0 && i < maxCount)
+    : workPaths.map((_, i) => i);
+  // (a clip is re-run for every preset, so its other outputs are replaced)
+  const keptResults = retryIdx
+    ? (job.results || []).filter((r) => !retryIdx.includes(r.idx))
+    : [];
+  const keptErrors = retryIdx
+    ? (job.errors || []).filter((e) => e.idx != null && !retryIdx.includes(e.idx))
+    : [];
+
+  const itemLocales = resolveItemLocales({
+    keys: workPaths,
+    locale: job.payload.locale,
+    locales: job.payload.locales,
+    localeMap: job.payload.localeMap,
+  });
+  const exclude = await recentCaptions(job.payload.avoidRecent, job.owner);
+  for (const r of keptResults) if (r.caption) exclude.add(r.caption);
+  const captionsPack = makeBatchCaptions({
+    count: indices.length,
+    noCaptionMode,
+    theme,
+    locales: indices.map((i) => itemLocales[i]),
+    exclude,
+  });
+  const locales = [...new Set(itemLocales)];
+  job.caption_warnings = captionsPack.warnings;
+  if (captionsPack.warnings.length) {
+    log.warn("caption pool ran short", { warnings: captionsPack.warnings });
+  }
+
+  const results = [];
+  const errors = [];
+  const pending = new Set(indices); // not started yet (matters when cancelled)
+
+  // ZIP is built alongside the clips: each output is appended right after its
+  // upload and deleted afterwards, so disk usage stays at ~ZIP size + the
+  // clips in flight
+  const zipPath = path.join(tmpDir, `${batchId}.zip`);
+  const zip = createZipBundle(zipPath);
+  // the export files finishZipBundle will add, named as uploadExports names them
+  const zipExportFiles = presets.flatMap((p) =>
+    exportFormats.map((format) => ({
+      file: `${multiPreset ? `${p.id}/` : ""}${EXPORTERS[format].file}`,
+    }))
+  );
+  const zipExtraFiles = zipExportFiles.length + (hasRootManifest(zipExportFiles) ? 0 : 1);
+  const updateZipProgress = () => {
+    // outputs that can still succeed + export files + manifest.json
+    // (an error without preset = the clip failed before encoding)
+    const failed = errors.reduce((n, e) => n + (e.preset ? 1 : presets.length), 0);
+    const expected =
+      keptResults.length + indices.length * presets.length - failed + zipExtraFiles;
+    job.zip_progress = Math.min(99, Math.round((zip.entries / expected) * 100));
+  };
+
+  const emitProgress = () =>
+    emitBatchEvent(batchId, "progress", {
+      progress: job.progress,
+      zip_progress: job.zip_progress,
+      phase: job.phase,
+      current_clip: job.current_clip,
+      current_stage: job.current_stage,
+      clips_in_progress: job.clips_in_progress,
+      clips_per_min: job.clips_per_min,
+      eta_s: job.eta_s,
+    });
+  const clipError = (error) => {
+    errors.push(error);
+    emitBatchEvent(batchId, "clip_error", error);
+  };
+
+  job.phase = "clips";
+
+  // Retry: clips that already succeeded go back into the ZIP first
+  let zipBroken = false;
+  try {
+    await addStoredClipsToZip({ zip, outputPrefix, results: keptResults, tmpDir });
+    updateZipProgress();
+  } catch (e) {
+    log.error("zip: re-adding clips failed", { err: e });
+    job.zip_error = String(e?.message || e);
+    zipBroken = true;
+  }
+
+  // Clips go through a worker pool (see pool.js): up to CLIP_CONCURRENCY of
+  // them at once, their downloads / encodes / uploads limited process-wide
+  let clipsDone = 0;
+  let clipsSucceeded = 0; // throughput + ETA: failed clips finish fast and say nothing
+  let inFlight = 0;
+
+  // Live status for GET /batch/:id: the clips in flight with stage + progress,
+  // throughput and ETA. Written to the store / SSE at most once per
+  // PROGRESS_REPORT_MS (ffmpeg reports twice a second per encode).
+  const clipsStartedAt = Date.now();
+  const active = new Map(); // idx -> clips_in_progress entry
+  let lastReport = 0;
+  const updateLiveStatus = (force = false) => {
+    const clips = [...active.values()].sort((a, b) => a.idx - b.idx);
+    const inProgress = clips.reduce((sum, c) => sum + c.progress / 100, 0);
+    const done = clipsDone + inProgress;
+    const encoded = clipsSucceeded + inProgress;
+    const minutes = (Date.now() - clipsStartedAt) / 60000;
+    job.progress = indices.length ? Math.floor((done / indices.length) * 100) : 100;
+    job.clips_in_progress = clips;
+    job.current_clip = clips[0]?.idx ?? null;
+    job.current_stage = clips[0]?.stage ?? null;
+    job.clips_per_min =
+      clipsSucceeded && minutes > 0 ? Math.round((clipsSucceeded / minutes) * 10) / 10 : null;
+    job.eta_s =
+      encoded > 0 ? Math.round(((indices.length - done) / encoded) * minutes * 60) : null;
+
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_REPORT_MS) return;
+    lastReport = now;
+    touchJob(job);
+    emitProgress();
+  };
+  const clipFinished = (i) => {
+    active.delete(i);
+    clipsDone += 1;
+    const result = results.some((r) => r.idx === i)
+      ? "done"
+      : signal.aborted
+        ? "cancelled"
+        : "error";
+    if (result === "done") clipsSucceeded += 1;
+    metric.clips.inc({ result });
+    updateZipProgress();
+    updateLiveStatus(true);
+  };
+
+  const processClip = async (k) => {
+    const i = indices[k];
+    pending.delete(i);
+    const storagePath = String(workPaths[i] || "").trim();
+    const clipEvent = (type, extra) =>
+      emitBatchEvent(batchId, type, { idx: i, input_path: storagePath, ...extra });
+    const clipLog = log.child({ component: "clip", idx: i, clip: `${i + 1}/${maxCount}` });
+    // stage timer: end(msg, fields) logs the duration + feeds the stage histogram
+    const startStage = (name) => {
+      const started = performance.now();
+      return (msg, fields) => {
+        const ms = performance.now() - started;
+        metric.stageSeconds.observe({ stage: name }, ms / 1000);
+        clipLog.info(msg, { stage: name, ...fields, duration_ms: Math.round(ms) });
+      };
+    };
+
+    if (!storagePath) {
+      clipError({
         idx: i,
         input_path: storagePath,
-        stage: String(e?.message || "error"),
-        message: String(e?.message || e),
+        stage: "validate",
+        code: "invalid_path",
+        message: "invalid_path",
       });
+      clipFinished(i);
+      return;
+    }
+
+    // POST /molle inputs are already on local disk
+    const localInput = uploads ? uploads[i] : null;
+    const inputPath = localInput || path.join(tmpDir, `in_${i}.mp4`);
+    const cap = captionsPack.items[k];
+    let stage = "download"; // which step failed, for errors[].stage
+
+    // clip progress: 10% input (download + probe), 90% split over the presets
+    // (80% encode, then upload + thumbnails)
+    const live = { idx: i, input_path: storagePath };
+    active.set(i, live);
+    const track = (liveStage, presetNo = null, within = 0, stageProgress = null) => {
+      live.stage = liveStage;
+      live.preset = presetNo == null ? null : presets[presetNo].id;
+      live.stage_progress = stageProgress;
+      live.progress =
+        presetNo == null
+          ? liveStage === "download"
+            ? 0
+            : 10
+          : Math.round(10 + (90 * (presetNo + within)) / presets.length);
+      updateLiveStatus();
+    };
+    track(localInput ? "probe" : "download");
+    let downloadAttempts = localInput ? 0 : 1;
+
+    try {
+      if (!localInput) {
+        clipLog.info("download start", { stage: "download", input_path: storagePath });
+        clipEvent("download_start");
+        let downloaded;
+        const { attempts } = await downloadSlots.run(
+          () => {
+            downloaded = startStage("download"); // not counting the slot wait
+            return transfer((s) => downloadInput(storagePath, inputPath, { signal: s }), {
+              signal,
+              timeoutMs: 120000,
+              timeoutLabel: "download_timeout",
+              op: "download",
+              path: storagePath,
+            });
+          },
+          signal
+        );
+        downloadAttempts = attempts;
+        downloaded("download done", { attempts });
+        clipEvent("download_done");
+      }
+
+      // Probe before encoding: corrupt / non-video / out-of-limit inputs get a
+      // clear error code instead of an ffmpeg failure
+      stage = "probe";
+      track("probe");
+      const probed = startStage("probe");
+      const probeStep = linkedAbort(signal);
+      let source;
+      try {
+        source = await withTimeout(
+          probeMedia(FFPROBE_PATH, inputPath, { signal: probeStep.signal }),
+          30000,
+          "probe_timeout",
+          probeStep
+        );
+      } finally {
+        probeStep.release();
+      }
+      probed("probe done", { duration: source.duration, video_codec: source.video_codec });
+      clipEvent("probe_done", { source });
+      const invalid = checkInput(source, INPUT_LIMITS);
+      if (invalid) {
+        stage = "validate";
+        throw invalid;
+      }
+
+      // content hash for the encode cache, shared by the clip's presets
+      const inputHash = encodeCache.enabled
+        ? await encodeCache.hashFile(inputPath).catch(() => null)
+        : null;
+
+      stage = "branding";
+      if (branding) track("branding");
+      const brand = branding
+        ? await (brandAssets ||= withTimeout(
+            loadBrandAssets(branding),
+            120000,
+            "branding_timeout"
+          ))
+        : null;
+
+      // One output per preset; a failing preset doesn't stop the others
+      for (const [presetNo, preset] of presets.entries()) {
+        const outPath = path.join(tmpDir, `out_${i}_${preset.id}.mp4`);
+        const step = linkedAbort(signal);
+        const presetInfo = multiPreset ? { preset: preset.id } : {};
+        let texts = [];
+
+        let presetStage = "encode";
+        try {
+          // burned-in text is written per output (wrapping depends on the width)
+          texts = brand?.text
+            ? await writeTextFiles({
+                texts: brand.text,
+                caption: cap.caption,
+                preset,
+                filePrefix: path.join(tmpDir, `text_${i}_${preset.id}`),
+              })
+            : [];
+          // same input + settings encoded before: copy that output
+          const cacheKey =
+            inputHash &&
+            encodeCache.keyOf({
+              v: ENCODE_CACHE_VERSION,
+              input: inputHash,
+              level,
+              preset,
+              branding,
+              texts: await Promise.all(texts.map((t) => fs.readFile(t.file, "utf8"))),
+            });
+          const cached = cacheKey ? await encodeCache.restore(cacheKey, outPath) : null;
+          if (cached) {
+            clipLog.info("encode cache hit", { stage: "encode", preset: preset.id });
+            clipEvent("encode_done", { ...presetInfo, cached: true });
+          } else {
+            clipLog.info("encode start", { stage: "encode", preset: preset.id });
+            clipEvent("encode_start", presetInfo);
+            track("encode_queued", presetNo); // waiting for an encode slot
+            let encoded;
+            await encodeSlots.run(
+              () => {
+                track("encode", presetNo, 0, 0);
+                encoded = startStage("encode");
+                return withTimeout(
+                  runFfmpegLevel1({
+                    inputPath,
+                    outPath,
+                    preset,
+                    brand: brand && { ...brand, text: texts },
+                    duration: source.duration,
+                    onProgress: ({ fraction }) =>
+                      track("encode", presetNo, 0.8 * fraction, Math.round(fraction * 100)),
+                    signal: step.signal,
+                  }),
+                  240000,
+                  "ffmpeg_timeout",
+                  step
+                );
+              },
+              step.signal
+            );
+            encoded("encode done", { preset: preset.id });
+            clipEvent("encode_done", presetInfo);
+          }
+
+          presetStage = "probe_output";
+          const outputProbed = startStage("probe_output");
+          const output = cached
+            ? cached.output
+            : await probeMedia(FFPROBE_PATH, outPath, {
+                signal: step.signal,
+              }).catch((e) => {
+                if (step.signal.aborted) throw e;
+                // metadata only: a failed probe of our own output doesn't fail the clip
+                clipLog.warn("output probe failed", { preset: preset.id, err: e });
+                return null;
+              });
+          if (!cached && output) outputProbed("output probed", { preset: preset.id });
+          // only outputs ffprobe could read go into the cache
+          if (cacheKey && !cached && output) {
+            await encodeCache.store(cacheKey, outPath, { output });
+          }
+
+          presetStage = "upload";
+          track("upload", presetNo, 0.8);
+          clipLog.info("upload start", { stage: "upload", preset: preset.id });
+
+          // single preset keeps the flat batches/<id>/clip_NN.mp4 layout
+          const file = multiPreset
+            ? `${preset.id}/${clipFileName(i)}`
+            : clipFileName(i);
+          const objectPath = `${outputPrefix}/${file}`;
+
+          // Stream upload (avoids loading whole MP4 into RAM)
+          let uploaded;
+          const { value: publicUrl, attempts: uploadAttempts } = await uploadSlots.run(
+            () => {
+              uploaded = startStage("upload");
+              return transfer(
+                (s) => uploadOutputFile(objectPath, outPath, "video/mp4", { signal: s }),
+                {
+                  signal: step.signal,
+                  timeoutMs: 180000,
+                  timeoutLabel: "upload_timeout",
+                  op: "upload",
+                  path: objectPath,
+                }
+              );
+            },
+            step.signal
+          );
+          uploaded("upload done", { preset: preset.id, attempts: uploadAttempts });
+          clipEvent("upload_done", { ...presetInfo, output_url: publicUrl });
+
+          if (!zipBroken) await zip.addFile(outPath, file);
+
+          // cover (+ preview GIF) next to the clip; failures only cost the image
+          track("thumbnail", presetNo, 0.9);
+          const thumbnailed = startStage("thumbnail");
+          const media = await uploadClipMedia({
+            videoPath: outPath,
+            objectBase: `${outputPrefix}/${file.replace(/\.mp4$/, "")}`,
+            duration: output?.duration ?? source.duration,
+            // cover times are relative to the clip, not the intro
+            cover: brand?.intro
+              ? { ...job.payload.cover, at: (job.payload.cover?.at ?? 1) + brand.intro.duration }
+              : job.payload.cover,
+            preview: !!job.payload.preview,
+            signal,
+            log: clipLog,
+          });
+          if (media.thumbnail_url || media.preview_url) {
+            thumbnailed("thumbnails done", { preset: preset.id });
+            clipEvent("thumbnail_done", { ...presetInfo, ...media });
+          }
+
+          results.push({
+            idx: i,
+            preset: preset.id,
+            file,
+            input_name: path.basename(storagePath),
+            input_path: storagePath,
+            output_url: publicUrl,
+            ...media, // thumbnail_url, preview_url
+            caption: cap.caption,
+            hashtags: cap.hashtags,
+            locale: cap.locale,
+            locale_fallback: cap.locale_fallback,
+            source,
+            output,
+            cached: !!cached, // output copied from the encode cache
+            // storage attempts it took (1 = no retry, download 0 = uploaded input)
+            attempts: { download: downloadAttempts, upload: uploadAttempts },
+          });
+        } catch (e) {
+          if (signal.aborted) throw e;
+          const failure = clipFailure(e, presetStage);
+          clipLog.error("clip failed", {
+            stage: presetStage,
+            preset: preset.id,
+            code: failure.code,
+            err: e,
+          });
+          clipError({ idx: i, preset: preset.id, input_path: storagePath, ...failure });
+        } finally {
+          step.release();
+          try {
+            await fs.unlink(outPath);
+          } catch {}
+          for (const t of texts) await fs.unlink(t.file).catch(() => {});
+        }
+      }
+    } catch (e) {
+      // cancelled mid-clip: not a clip failure, the batch just stops here.
+      // The whole clip re-runs on retry, so the presets it finished go too.
+      if (signal.aborted) {
+        for (const list of [results, errors]) {
+          for (let n = list.length - 1; n >= 0; n--) if (list[n].idx === i) list.splice(n, 1);
+        }
+        pending.add(i);
+        return;
+      }
+      const failure = stage === "download" ? downloadFailure(e) : clipFailure(e, stage);
+      clipLog.error("clip failed", { stage, input_path: storagePath, code: failure.code, err: e });
+      clipError({ idx: i, input_path: storagePath, ...failure });
     } finally {
       // Cleanup temp files
+      if (!localInput) {
+        try {
+          await fs.unlink(inputPath);
+        } catch {}
+      }
+
+      clipFinished(i);
+    }
+  };
+
+  await runPool(
+    indices.length,
+    CLIP_CONCURRENCY,
+    async (k) => {
+      inFlight += 1;
       try {
-        await fs.unlink(inputPath);
-      } catch {}
-      try {
-        await fs.unlink(outPath);
-      } catch {}
+        await processClip(k);
+      } finally {
+        inFlight -= 1;
+      }
+    },
+    {
+      signal,
+      // a new clip needs memory + temp disk; wait while our running clips hold them
+      beforeStart: () =>
+        waitForResources({
+          dir: os.tmpdir(),
+          minFreeMemory: MIN_FREE_MEMORY_MB * 2 ** 20,
+          minFreeDisk: MIN_FREE_DISK_MB * 2 ** 20,
+          busy: () => inFlight > 0,
+          signal,
+          log: (msg) => log.warn(msg, { component: "pool" }),
+        }).catch(() => {}), // cancelled: runPool stops on its own
+    }
+  );
+
+  // clip phase over: the ETA doesn't cover exports + ZIP
+  clearLiveStatus(job);
+
+  // grouped by preset (request order), then clip order
+  const presetOrder = (r) => presets.findIndex((p) => p.id === (r.preset || presets[0].id));
+  const allResults = [...keptResults, ...results].sort(
+    (a, b) => presetOrder(a) - presetOrder(b) || a.idx - b.idx
+  );
+  const allErrors = [...keptErrors, ...errors];
 
-      job.progress = Math.round(((i + 1) / maxCount) * 100);
-      job.updatedAt = Date.now();
+  if (signal.aborted) {
+    // clips never reached go into errors[] so POST /batch/:id/retry resumes them
+    for (const i of [...pending].sort((a, b) => a - b)) {
+      const previous = retryIdx && (job.errors || []).find((e) => e.idx === i);
+      allErrors.push(previous || cancelledClipError(i, workPaths[i]));
     }
+    zip.abort();
+    job.results = allResults;
+    job.errors = allErrors.sort((a, b) => (a.idx ?? -1) - (b.idx ?? -1));
+    job.count = allResults.length;
+    job.phase = null;
+    job.status = "cancelled";
+    job.cancelled_at = Date.now();
+    delete job.payload.retryIdx;
+    touchJob(job);
+    return;
   }
 
-  // CSV upload (small -> buffer is fine)
-  const csv = toCsv(results);
-  const csvPath = `batches/${batchId}/captions.csv`;
-  const csvUrl = await uploadToSupabase(
-    csvPath,
-    Buffer.from(csv, "utf8"),
-    "text/csv"
-  );
+  allErrors.sort((a, b) => (a.idx ?? -1) - (b.idx ?? -1));
+
+  // publish times go to the clips that made it, in clip order (all presets of
+  // a clip share one). Clips scheduled by an earlier run keep their time, the
+  // ones a retry adds take the next slots.
+  const scheduled = new Set(allResults.filter((r) => r.publish_at).map((r) => r.idx));
+  const schedule = job.payload.schedule
+    ? planSchedule(
+        job.payload.schedule,
+        [...new Set(allResults.map((r) => r.idx))]
+          .filter((i) => !scheduled.has(i))
+          .sort((a, b) => a - b),
+        batchId,
+        scheduled.size
+      )
+    : null;
+  if (schedule) {
+    const posts = new Map(schedule.posts.map((p) => [p.idx, p]));
+    for (const r of allResults) {
+      const post = posts.get(r.idx);
+      if (!post) continue; // scheduled before
+      r.publish_at = post.publish_at;
+      r.publish_date = post.date;
+      r.publish_time = post.time;
+    }
+    // job.schedule lists every scheduled clip, the earlier runs' too
+    const byIdx = new Map(
+      allResults.map((r) => [
+        r.idx,
+        { idx: r.idx, publish_at: r.publish_at, date: r.publish_date, time: r.publish_time },
+      ])
+    );
+    schedule.posts = [...byIdx.values()].sort((a, b) => a.publish_at.localeCompare(b.publish_at));
+  }
 
-  job.results = results;
-  job.errors = errors;
-  job.csv_url = csvUrl;
+  // Exports upload (small -> buffers are fine), one set per preset
+  const meta = {
+    batchId,
+    level,
+    theme,
+    noCaptionMode,
+    locales,
+    presets: presets.map((p) => p.id),
+    branding,
+    schedule: job.payload.schedule || null,
+    errors: allErrors,
+  };
+  const exportFiles = [];
+  const exports = [];
+  try {
+    for (const preset of presets) {
+      const uploaded = await uploadExports({
+        outputPrefix,
+        dir: multiPreset ? `${preset.id}/` : "",
+        preset: preset.id,
+        formats: exportFormats,
+        results: allResults.filter((r) => (r.preset || presets[0].id) === preset.id),
+        meta,
+      });
+      exportFiles.push(...uploaded.files);
+      exports.push(...uploaded.exports);
+    }
+    delete job.exports_error;
+  } catch (e) {
+    // the clips are there; missing exports alone don't fail the batch
+    log.error("exports upload failed", { err: e });
+    job.exports_error = String(e?.message || e).split("\n")[0];
+  }
+
+  let zipUrl = null;
+  if (allResults.length && !zipBroken) {
+    job.phase = "zip";
+    updateZipProgress();
+    touchJob(job);
+    emitProgress();
+    try {
+      zipUrl = await finishZipBundle({
+        zip,
+        zipPath,
+        batchId,
+        outputPrefix,
+        files: exportFiles,
+        manifest: buildManifest({ ...meta, results: allResults }),
+      });
+      job.zip_progress = 100;
+      delete job.zip_error;
+    } catch (e) {
+      log.error("zip failed", { err: e });
+      job.zip_error = String(e?.message || e);
+    }
+  } else {
+    zip.abort();
+  }
+
+  job.results = allResults;
+  job.errors = allErrors;
+  job.csv_url = metricoolUrl(exports);
+  job.exports = exports;
   job.level = level;
   job.noCaptionMode = noCaptionMode;
   job.theme = theme;
-  job.count = results.length;
-  job.zip_url = null;
-  job.status = errors.length && results.length === 0 ? "error" : "done";
+  job.locales = locales;
+  job.count = allResults.length;
+  job.zip_url = zipUrl;
+  if (schedule) job.schedule = schedule;
+  job.phase = null;
+  job.status = allErrors.length && allResults.length === 0 ? "error" : "done";
   job.progress = 100;
-  job.updatedAt = Date.now();
-
-  // Cleanup temp dir (best effort)
-  try {
-    await fs.rm(tmpDir, { recursive: true, force: true });
-  } catch {}
+  delete job.payload.retryIdx;
+  touchJob(job);
 }
 
-async function downloadFromSupabaseInputs(objectPath, destPath) {
-  const { data, error } = await supabase.storage
-    .from(SUPABASE_INPUT_BUCKET)
-    .download(objectPath);
-
-  if (error) throw error;
-  if (!data) throw new Error("supabase_download_no_data");
-
-  // In Node, Supabase returns a Blob. Stream it to disk to avoid RAM spikes.
-  if (typeof data.stream === "function") {
-    await pipeline(data.stream(), createWriteStream(destPath));
-    return;
-  }
-
-  // Fallback (should rarely happen)
-  const ab = await data.arrayBuffer();
-  const buf = Buffer.from(ab);
-  await fs.writeFile(destPath, buf);
+// ---- Storage helpers (driver chosen by STORAGE_DRIVER, see storage.js)
+function downloadInput(objectPath, destPath, opts) {
+  return storage.download(INPUT_BUCKET, objectPath, destPath, opts);
 }
 
-async function uploadToSupabase(objectPath, buffer, contentType) {
-  const { error } = await supabase.storage
-    .from(SUPABASE_BUCKET)
-    .upload(objectPath, buffer, { contentType, upsert: true });
+function downloadOutput(objectPath, destPath, opts) {
+  return storage.download(OUTPUT_BUCKET, objectPath, destPath, opts);
+}
 
-  if (error) throw error;
+function uploadOutputBuffer(objectPath, buffer, contentType) {
+  return storage.uploadBuffer(OUTPUT_BUCKET, objectPath, buffer, contentType);
+}
 
-  const { data } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(objectPath);
-  return data.publicUrl;
+// Streams from disk (avoids RAM spikes from fs.readFile on big mp4s)
+function uploadOutputFile(objectPath, filePath, contentType, opts) {
+  return storage.uploadFile(OUTPUT_BUCKET, objectPath, filePath, contentType, opts);
 }
 
-// Stream upload to Supabase Storage (avoids RAM spikes from fs.readFile on big mp4s)
-async function uploadFileStreamToSupabase(objectPath, filePath, contentType) {
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-    throw new Error("supabase_not_configured");
+/**
+ * Cover JPEG (+ optional preview GIF) of an encoded clip, uploaded as
+ * `<objectBase>.jpg` / `.gif`. Never throws except on cancel.
+ * -> { thumbnail_url, preview_url, thumbnail_at, thumbnail_error? }
+ */
+async function uploadClipMedia({
+  videoPath,
+  objectBase,
+  duration,
+  cover,
+  preview,
+  signal,
+  log = logger,
+}) {
+  const media = { thumbnail_url: null, preview_url: null, thumbnail_at: null };
+  const mode = cover?.mode || "time";
+  if (mode === "off" && !preview) return media;
+
+  const coverPath = videoPath.replace(/\.mp4$/, ".jpg");
+  const previewPath = videoPath.replace(/\.mp4$/, ".gif");
+  const step = linkedAbort(signal);
+  try {
+    if (mode !== "off") {
+      const { at } = await encodeSlots.run(
+        () =>
+          withTimeout(
+            extractCover({
+              ffmpegPath,
+              videoPath,
+              outPath: coverPath,
+              mode,
+              at: cover?.at ?? 1,
+              duration,
+              signal: step.signal,
+            }),
+            60000,
+            "thumbnail_timeout",
+            step
+          ),
+        step.signal
+      );
+      media.thumbnail_at = at;
+      ({ value: media.thumbnail_url } = await transfer(
+        (s) => uploadOutputFile(`${objectBase}.jpg`, coverPath, "image/jpeg", { signal: s }),
+        {
+          signal: step.signal,
+          timeoutMs: 60000,
+          timeoutLabel: "upload_timeout",
+          op: "upload",
+          path: `${objectBase}.jpg`,
+        }
+      ));
+    }
+    if (preview) {
+      await encodeSlots.run(
+        () =>
+          withTimeout(
+            renderPreview({ ffmpegPath, videoPath, outPath: previewPath, duration, signal: step.signal }),
+            120000,
+            "preview_timeout",
+            step
+          ),
+        step.signal
+      );
+      ({ value: media.preview_url } = await transfer(
+        (s) => uploadOutputFile(`${objectBase}.gif`, previewPath, "image/gif", { signal: s }),
+        {
+          signal: step.signal,
+          timeoutMs: 60000,
+          timeoutLabel: "upload_timeout",
+          op: "upload",
+          path: `${objectBase}.gif`,
+        }
+      ));
+    }
+  } catch (e) {
+    if (signal.aborted) throw e;
+    log.warn("thumbnails failed", { stage: "thumbnail", object: objectBase, err: e });
+    media.thumbnail_error = String(e?.message || e).split("\n")[0];
+  } finally {
+    step.release();
+    await fs.unlink(coverPath).catch(() => {});
+    await fs.unlink(previewPath).catch(() => {});
   }
+  return media;
+}
 
-  // Supabase Storage upload endpoint
-  const url = `${SUPABASE_URL}/storage/v1/object/${SUPABASE_BUCKET}/${objectPath}`;
+// Retry: put clips that succeeded earlier back into the new batch ZIP
+async function addStoredClipsToZip({ zip, outputPrefix, results, tmpDir }) {
+  for (const r of results) {
+    const localPath = path.join(tmpDir, `kept_${r.idx}.mp4`);
+    try {
+      const objectPath = `${outputPrefix}/${r.file}`;
+      await transfer((s) => downloadOutput(objectPath, localPath, { signal: s }), {
+        timeoutMs: 120000,
+        timeoutLabel: "download_timeout",
+        op: "download",
+        path: objectPath,
+      });
+      if (!(await zip.addFile(localPath, r.file))) throw new Error("zip_add_failed");
+    } finally {
+      await fs.unlink(localPath).catch(() => {});
+    }
+  }
+}
 
-  const stream = fssync.createReadStream(filePath);
+// Branding of a batch with local paths of its assets (+ intro/outro metadata)
+async function loadBrandAssets(branding) {
+  const load = async (id) => {
+    const asset = await assets.get(id);
+    if (!asset) throw new Error(`asset_missing ${id}`);
+    return { ...asset, path: await assets.fetch(asset) };
+  };
+  const brand = { ...branding };
+  if (branding.logo) brand.logo = { ...branding.logo, path: (await load(branding.logo.asset)).path };
+  if (branding.intro) brand.intro = await load(branding.intro);
+  if (branding.outro) brand.outro = await load(branding.outro);
+  return brand;
+}
 
-  const stat = await fs.stat(filePath);
+// `onProgress({ seconds, speed })` (optional) follows `-progress pipe:1`:
+// ffmpeg prints key=value blocks ending in progress=continue|end (~2x/s)
+// `countFailures: false` keeps a run (the /health/deep self-test) out of the
+// ffmpeg failure metric
+function spawnFfmpeg(args, signal, onProgress, { countFailures = true } = {}) {
+  const fullArgs = onProgress ? ["-progress", "pipe:1", "-nostats", ...args] : args;
+  const countFailure = (cause) => {
+    if (countFailures) metric.ffmpegFailures.inc({ cause });
+  };
+  return new Promise((resolve, reject) => {
+    const ff = spawn(ffmpegPath, fullArgs, { signal, killSignal: "SIGKILL" });
+    let stderr = "";
+    ff.stderr.on("data", (d) => {
+      stderr += d.toString();
+    });
 
-  const resp = await fetch(url, {
-    method: "PUT",
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE_KEY,
-      authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      "content-type": contentType,
-      "content-length": String(stat.size),
-      "x-upsert": "true",
-    },
-    // Node 18+ (undici) requires duplex when streaming request bodies
-    duplex: "half",
-    body: stream,
+    let pending = "";
+    let block = {};
+    ff.stdout.on("data", (d) => {
+      if (!onProgress) return;
+      pending += d.toString();
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const eq = line.indexOf("=");
+        if (eq === -1) continue;
+        const key = line.slice(0, eq).trim();
+        const value = line.slice(eq + 1).trim();
+        block[key] = value;
+        if (key !== "progress") continue;
+
+        // out_time_ms is microseconds too (long-standing ffmpeg quirk)
+        const us = Number(block.out_time_us ?? block.out_time_ms);
+        if (Number.isFinite(us) && us >= 0) {
+          onProgress({ seconds: us / 1e6, speed: parseFloat(block.speed) || null });
+        }
+        block = {};
+      }
+    });
+    // a failed spawn emits "error" and then "close" (code -2): settle once
+    let failed = false;
+    ff.on("error", (e) => {
+      failed = true;
+      // aborted = timeout (counted) or cancel (not a failure)
+      if (!signal?.aborted) countFailure("spawn_error");
+      else if (/_timeout$/.test(String(signal.reason?.message))) countFailure("timeout");
+      reject(e);
+    });
+    ff.on("close", (code, killedBy) => {
+      if (failed) return;
+      if (code === 0) return resolve();
+      if (signal?.aborted) return; // "error" above has it
+      const cause = ffmpegFailureCause(code, killedBy, stderr);
+      countFailure(cause);
+      // short message; the stderr tail goes to errors[].details
+      const err = new Error(`ffmpeg_failed code=${code}`);
+      err.details = { ffmpeg_exit: code, cause, stderr: stderr.trim().slice(-800) };
+      reject(err);
+    });
   });
+}
 
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => "");
-    throw new Error(`supabase_stream_upload_failed status=${resp.status} ${txt}`);
+// Failed ffmpeg run -> rough cause for the metrics and errors[].details
+function ffmpegFailureCause(code, killedBy, stderr) {
+  if (code == null) return killedBy === "SIGKILL" ? "killed" : "signal"; // OOM killer, ...
+  if (/No space left on device/i.test(stderr)) return "disk_full";
+  if (/Cannot allocate memory|Out of memory/i.test(stderr)) return "out_of_memory";
+  if (/Invalid data found|moov atom not found|could not find codec parameters/i.test(stderr)) {
+    return "invalid_input";
   }
-
-  const { data } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(objectPath);
-  return data.publicUrl;
+  if (/Unknown encoder|Encoder not found|Decoder .*not found|not currently supported/i.test(stderr)) {
+    return "codec";
+  }
+  if (/filtergraph|Error (re)?initializing filter|No such filter/i.test(stderr)) return "filter";
+  if (/No such file or directory|Permission denied/i.test(stderr)) return "io";
+  return "other";
 }
 
-function runFfmpegLevel1({ inputPath, outPath }) {
+// Encodes one clip for one output preset (see presets.js), with the batch's
+// logo / text burned in and intro/outro joined on when `brand` has them.
+// `signal` kills ffmpeg (SIGKILL) on timeout or cancel
+async function runFfmpegLevel1({
+  inputPath,
+  outPath,
+  preset = getPreset("tiktok"),
+  brand = null,
+  duration = null,
+  onProgress,
+  signal,
+  countFailures = true,
+}) {
   const vf =
-    // keep tiktok format, but use cheaper scaling (bilinear) to reduce CPU
-    "scale=w=1080:h=1920:force_original_aspect_ratio=decrease:flags=bilinear," +
-    "pad=1080:1920:(1080-iw)/2:(1920-ih)/2," +
+    // size + fit mode of the preset (cheap bilinear scaling to reduce CPU)
+    fitFilter(preset) +
+    (preset.fps ? `,fps=${preset.fps}` : "") +
     // tiny eq for fingerprint change (lightweight)
-    "eq=contrast=1.012:saturation=1.006:brightness=0.004";
-
-  const baseArgs = [
-    "-y",
-    "-hide_banner",
-    "-nostdin",
-    "-i",
-    inputPath,
-    "-vf",
-    vf,
+    ",eq=contrast=1.012:saturation=1.006:brightness=0.004";
+
+  const overlay = brand && (brand.logo || brand.text?.length);
+  const filterArgs = overlay
+    ? [
+        ...(brand.logo ? ["-i", brand.logo.path] : []),
+        "-filter_complex",
+        overlayGraph({
+          preset,
+          base: vf,
+          logo: brand.logo,
+          texts: brand.text,
+          fontFile: BRANDING_FONT_FILE,
+        }),
+        "-map",
+        "[v]",
+        "-map",
+        "0:a?",
+      ]
+    : ["-vf", vf];
+
+  // intro/outro count against the preset's max duration
+  const bumpers = [brand?.intro, brand?.outro].filter(Boolean);
+  const bumperSeconds = bumpers.reduce((sum, b) => sum + (b.duration || 0), 0);
+  const maxDuration =
+    preset.maxDuration && bumpers.length
+      ? Math.max(1, Math.round((preset.maxDuration - bumperSeconds) * 1000) / 1000)
+      : preset.maxDuration;
+
+  const videoArgs = [
     "-c:v",
     "libx264",
     "-profile:v",
@@ -630,41 +2235,1112 @@ function runFfmpegLevel1({ inputPath, outPath }) {
     "yuv420p",
     "-preset",
     "superfast",
-    "-crf",
-    "23",
-    "-threads",
-    "2",
-    "-movflags",
-    "+faststart",
   ];
+  const tailArgs = ["-threads", String(FFMPEG_THREADS_PER_ENCODE), "-movflags", "+faststart"];
+
+  const mainPath = bumpers.length ? outPath.replace(/\.mp4$/, "_main.mp4") : outPath;
+  const baseArgs = [
+    "-y",
+    "-hide_banner",
+    "-nostdin",
+    "-i",
+    inputPath,
+    ...filterArgs,
+    ...videoArgs,
+    ...encodeArgs({ ...preset, maxDuration }),
+    ...tailArgs,
+  ];
+
+  // progress 0..1 over both passes, weighted by the seconds each one encodes
+  const mainSeconds = Math.min(duration || 0, maxDuration || Infinity);
+  const totalSeconds = mainSeconds + (bumpers.length ? mainSeconds + bumperSeconds : 0);
+  const passProgress = (offset) =>
+    onProgress && totalSeconds
+      ? ({ seconds, speed }) =>
+          onProgress({ fraction: Math.min(1, (offset + seconds) / totalSeconds), speed })
+      : null;
+
+  // Copying audio is fast; if it fails (weird inputs), fall back to AAC
+  const [audio, fallbackAudio] = audioArgs(preset);
+
+  // a failed copy attempt with a fallback left isn't counted in ffmpeg_failures_total;
+  // the fallback's own failure is
+  const spawnOptions = { countFailures };
+  const firstOptions = { countFailures: countFailures && !fallbackAudio };
+  await spawnFfmpeg([...baseArgs, ...audio, mainPath], signal, passProgress(0), firstOptions).catch(
+    (e) => {
+      if (signal?.aborted || !fallbackAudio) throw e;
+      return spawnFfmpeg(
+        [...baseArgs, ...fallbackAudio, mainPath],
+        signal,
+        passProgress(0),
+        spawnOptions
+      );
+    }
+  );
+  if (!bumpers.length) return;
+
+  // second pass: intro + clip + outro (re-encoded, the concat filter needs
+  // one size / frame rate / audio layout)
+  try {
+    const main = await probeMedia(FFPROBE_PATH, mainPath, { signal });
+    const segments = [
+      brand.intro,
+      { path: mainPath, duration: main.duration, has_audio: main.has_audio, fitted: true },
+      brand.outro,
+    ].filter(Boolean);
+    const withAudio = preset.audioCodec !== "none";
+    await spawnFfmpeg(
+      [
+        "-y",
+        "-hide_banner",
+        "-nostdin",
+        ...joinArgs({
+          segments,
+          preset,
+          fps: preset.fps || main.fps || 30,
+          audio: withAudio,
+        }),
+        ...videoArgs,
+        ...encodeArgs({ ...preset, maxDuration: null }),
+        ...(withAudio ? ["-c:a", "aac", "-b:a", preset.audioBitrate] : []),
+        ...tailArgs,
+        outPath,
+      ],
+      signal,
+      passProgress(mainSeconds),
+      spawnOptions
+    );
+  } finally {
+    await fs.unlink(mainPath).catch(() => {});
+  }
+}
+
+/**
+ * Checks behind GET /health/deep, one after the other; each ->
+ * { ok, duration_ms, ...details } or { ok: false, duration_ms, error, details? }
+ *  - ffmpeg          the ffmpeg-static binary runs (-version)
+ *  - storage_input   a probe object is written to + deleted from INPUT_BUCKET
+ *  - storage_output  same for OUTPUT_BUCKET
+ *  - disk            free temp disk >= MIN_FREE_DISK_MB
+ *  - encode          a synthetic clip through runFfmpegLevel1 + ffprobe
+ * The encode skips the encode slots, so a busy service still answers in time.
+ */
+async function runDeepHealth() {
+  const started = performance.now();
+  const checks = {};
+  const check = async (name, timeoutMs, fn) => {
+    const checkStarted = performance.now();
+    const step = new AbortController();
+    const duration = () => Math.round(performance.now() - checkStarted);
+    try {
+      const details = await withTimeout(fn(step.signal), timeoutMs, `${name}_timeout`, step);
+      checks[name] = { ok: true, duration_ms: duration(), ...details };
+    } catch (e) {
+      checks[name] = {
+        ok: false,
+        duration_ms: duration(),
+        error: String(e?.message || e).split("\n")[0],
+        ...(e?.details ? { details: e.details } : {}),
+      };
+    }
+  };
+
+  await check("ffmpeg", 10000, ffmpegVersion);
+  await check("storage_input", 30000, () => probeBucket(INPUT_BUCKET));
+  await check("storage_output", 30000, () => probeBucket(OUTPUT_BUCKET));
+  await check("disk", 10000, checkTempDisk);
+  await check("encode", 120000, selfTestEncode);
+
+  return {
+    ok: Object.values(checks).every((c) => c.ok),
+    service: "content-molle",
+    checks,
+    duration_ms: Math.round(performance.now() - started),
+  };
+}
+
+function ffmpegVersion(signal) {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegPath) return reject(new Error("ffmpeg_missing"));
+    const ff = spawn(ffmpegPath, ["-version"], { signal, killSignal: "SIGKILL" });
+    let stdout = "";
+    ff.stdout.on("data", (d) => {
+      stdout += d.toString();
+    });
+    ff.on("error", (e) => reject(e.code === "ENOENT" ? new Error("ffmpeg_missing") : e));
+    ff.on("close", (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg_failed code=${code}`));
+      resolve({ path: ffmpegPath, version: /ffmpeg version (\S+)/.exec(stdout)?.[1] ?? null });
+    });
+  });
+}
+
+// Writes + deletes a small object, so credentials, bucket and permissions are
+// all exercised
+async function probeBucket(bucket) {
+  const objectPath = `_health/${nanoid(10)}.txt`;
+  let step = "write";
+  try {
+    await storage.uploadBuffer(
+      bucket,
+      objectPath,
+      Buffer.from(`content-molle health check ${new Date().toISOString()}\n`),
+      "text/plain"
+    );
+    step = "delete";
+    await storage.remove(bucket, [objectPath]);
+  } catch (e) {
+    const err = new Error(String(e?.message || e).split("\n")[0]);
+    err.details = { bucket, step, ...(statusOf(e) ? { status: statusOf(e) } : {}) };
+    throw err;
+  }
+  return { driver: STORAGE_DRIVER, bucket };
+}
+
+async function checkTempDisk() {
+  const free = await freeDisk(os.tmpdir());
+  const details = {
+    dir: os.tmpdir(),
+    free_mb: free == null ? null : Math.floor(free / 2 ** 20), // null = statfs unavailable
+    min_free_mb: MIN_FREE_DISK_MB,
+  };
+  if (free != null && free < MIN_FREE_DISK_MB * 2 ** 20) {
+    const err = new Error("insufficient_disk");
+    err.details = details;
+    throw err;
+  }
+  return details;
+}
+
+async function selfTestEncode(signal) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-molle-health-"));
+  try {
+    const inputPath = path.join(dir, "in.y4m");
+    const outPath = path.join(dir, "out.mp4");
+    const preset = getPreset(DEFAULT_PRESETS[0]);
+    const clip = syntheticClip();
+    await fs.writeFile(inputPath, clip.data);
+    // a failing self-test shows in the health report, not in the production metric
+    await runFfmpegLevel1({
+      inputPath,
+      outPath,
+      preset,
+      duration: clip.duration,
+      signal,
+      countFailures: false,
+    });
+    const output = await probeMedia(FFPROBE_PATH, outPath, { signal });
+    return {
+      preset: preset.id,
+      output: {
+        width: output.width,
+        height: output.height,
+        duration: output.duration,
+        video_codec: output.video_codec,
+        size: output.size,
+      },
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// 1 s of a moving gradient as raw YUV4MPEG2, so the self-test needs no input
+// file and no ffmpeg source filter
+function syntheticClip({ width = 160, height = 96, fps = 10, seconds = 1 } = {}) {
+  const parts = [Buffer.from(`YUV4MPEG2 W${width} H${height} F${fps}:1 Ip A1:1 C420jpeg\n`)];
+  for (let frame = 0; frame < fps * seconds; frame++) {
+    const luma = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) luma[y * width + x] = (x + y + frame * 8) & 0xff;
+    }
+    // 4:2:0 chroma planes at neutral grey
+    parts.push(Buffer.from("FRAME\n"), luma, Buffer.alloc(width * height / 2, 128));
+  }
+  return { data: Buffer.concat(parts), duration: seconds };
+}
+
+function clipFileName(i) {
+  return `clip_${String(i + 1).padStart(2, "0")}.mp4`;
+}
+
+// Job as returned to clients: without payload to avoid leaking internal details
+function publicJob(job) {
+  const {
+    payload, // eslint-disable-line no-unused-vars
+    ...rest
+  } = job;
+  return rest;
+}
+
+/**
+ * Batch settings shared by both endpoints (JSON body or form-data fields).
+ * -> { options } to merge into the job payload, or { error } (400 body)
+ */
+function parseBatchOptions(body = {}) {
+  const noCaptionMode =
+    body.noCaptionMode === true || body.noCaptionMode === "true";
+  const level = body.level || "1"; // only 1 supported right now
+  const theme = String(body.theme || "snus").trim();
+
+  const { formats: exportFormats, unknown: unknownExports } = parseExports(
+    body.exports
+  );
+  if (unknownExports.length) return { error: unknownExportsError(unknownExports) };
+
+  if (!getTheme(theme)) return { error: unknownThemeError(theme) };
+
+  // `presets` (array or "tiktok,reels"), `preset` for a single one
+  const { presets, unknown: unknownPresets } = parsePresets(
+    body.presets ?? body.preset
+  );
+  if (unknownPresets.length) {
+    return {
+      error: {
+        ok: false,
+        error: "unknown_preset",
+        unknown: unknownPresets,
+        available: listPresets().map((p) => p.id),
+      },
+    };
+  }
+
+  const { options: localeOptions, invalid: invalidLocales } =
+    parseLocaleOptions(body);
+  if (invalidLocales.length) return { error: invalidLocalesError(invalidLocales) };
+
+  // cover image per output: `cover` time (default) | sharpest | off, `coverAt`
+  // seconds for "time"; `preview` adds a short GIF
+  const coverMode = String(body.cover || "time").trim().toLowerCase();
+  if (!COVER_MODES.includes(coverMode)) {
+    return { error: { ok: false, error: "invalid_cover", available: COVER_MODES } };
+  }
+  const coverAt = body.coverAt == null || body.coverAt === "" ? 1 : Number(body.coverAt);
+  if (!(coverAt >= 0)) return { error: { ok: false, error: "invalid_cover_at" } };
+  const preview = body.preview === true || body.preview === "true";
+
+  // `branding` (object, JSON string in form-data, or false / "off") is merged
+  // over the theme's in resolveBranding
+  let branding = body.branding;
+  if (typeof branding === "string") {
+    const s = branding.trim();
+    if (["", "off", "false", "none"].includes(s)) branding = s ? false : undefined;
+    else {
+      try {
+        branding = JSON.parse(s);
+      } catch {
+        return { error: { ok: false, error: "invalid_branding", details: ["branding_must_be_json"] } };
+      }
+    }
+  }
+  const brandingErrors = validateBranding(branding);
+  if (brandingErrors.length) {
+    return { error: { ok: false, error: "invalid_branding", details: brandingErrors } };
+  }
+
+  // `schedule` (object or JSON string): publish date/time per clip in the exports
+  let schedule = body.schedule;
+  if (typeof schedule === "string") {
+    const s = schedule.trim();
+    if (["", "off", "false", "none"].includes(s)) schedule = null;
+    else {
+      try {
+        schedule = JSON.parse(s);
+      } catch {
+        return { error: { ok: false, error: "invalid_schedule", details: ["schedule_must_be_json"] } };
+      }
+    }
+  }
+  const scheduleErrors = validateSchedule(schedule);
+  if (scheduleErrors.length) {
+    return { error: { ok: false, error: "invalid_schedule", details: scheduleErrors } };
+  }
+
+  let callbackUrl = null;
+  if (body.callback_url != null && body.callback_url !== "") {
+    callbackUrl = normalizeCallbackUrl(body.callback_url);
+    if (!callbackUrl) return { error: { ok: false, error: "invalid_callback_url" } };
+    if (!WEBHOOK_SECRET)
+      return { error: { ok: false, error: "callbacks_not_configured" } };
+  } else if (WEBHOOK_SECRET) {
+    callbackUrl = DEFAULT_CALLBACK_URL;
+  }
+
+  return {
+    options: {
+      noCaptionMode,
+      level,
+      theme,
+      exports: exportFormats,
+      presets,
+      cover: { mode: coverMode, at: coverAt },
+      preview,
+      branding,
+      schedule: normalizeSchedule(schedule),
+      ...localeOptions, // locale, locales, localeMap
+      avoidRecent: parseAvoidRecent(body.avoidRecent),
+      callbackUrl,
+    },
+  };
+}
+
+/**
+ * Theme branding + the request's override -> { branding } (null = none) or
+ * { error }. Assets named in the request must belong to the caller; the
+ * theme's must be shared ones or the caller's (themes saved before that rule).
+ */
+async function resolveBranding(themeId, override, tenant) {
+  const branding = mergeBranding(getTheme(themeId)?.branding, override);
+  if (!branding) return { branding: null };
+
+  const requested = new Set(brandingAssetIds(override || {}));
+  const missing = await missingBrandingAsset(branding, (asset) =>
+    requested.has(asset.id)
+      ? ownsAsset(asset, tenant)
+      : isSharedAsset(asset) || ownsAsset(asset, tenant)
+  );
+  return missing ? { error: missing } : { branding };
+}
+
+// First asset of `branding` that doesn't exist (or isn't usable) -> 400 body, else null
+async function missingBrandingAsset(branding, allowed = () => true) {
+  if (!branding || validateBranding(branding).length) return null;
+  const roles = [
+    ["logo", branding.logo?.asset, "image"],
+    ["intro", branding.intro, "video"],
+    ["outro", branding.outro, "video"],
+  ];
+  for (const [role, id, kind] of roles) {
+    if (!id) continue;
+    const asset = await assets.get(id);
+    if (!asset || !allowed(asset)) return { ok: false, error: "unknown_asset", role, asset: id };
+    if (asset.kind !== kind) {
+      return { ok: false, error: "wrong_asset_kind", role, asset: id, expected: kind };
+    }
+  }
+  return null;
+}
 
-  function spawnFfmpeg(args) {
-    return new Promise((resolve, reject) => {
-      const ff = spawn(ffmpegPath, args);
-      let stderr = "";
-      ff.stderr.on("data", (d) => {
-        stderr += d.toString();
+// Same visibility rule as batches (findJob)
+function ownsAsset(asset, tenant) {
+  return !tenant || asset.owner === tenant;
+}
+
+// No owner: uploaded with ADMIN_API_KEY (or while auth was off)
+function isSharedAsset(asset) {
+  return asset.owner == null;
+}
+
+// Live or stored job, if the caller may see it. Other tenants' batches look
+// like they don't exist.
+async function findJob(batchId, auth) {
+  const job = jobs.get(batchId) || (await jobStore.get(batchId));
+  if (!job) return null;
+  if (auth?.tenant && job.owner !== auth.tenant) return null;
+  return job;
+}
+
+// Jobs from before tenants have no output_prefix
+function outputPrefixOf(job) {
+  return job.output_prefix || `batches/${job.batchId}`;
+}
+
+// GET /batches entry: what a history list shows, without results/errors
+function batchSummary(job) {
+  return {
+    batchId: job.batchId,
+    status: job.status,
+    theme: job.theme,
+    presets: job.presets,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    inputs: job.payload?.paths?.length ?? null,
+    count: job.count,
+    errors: job.errors?.length || 0,
+    progress: job.progress,
+    csv_url: job.csv_url,
+    zip_url: job.zip_url,
+    outputs_deleted_at: job.outputs_deleted_at || null,
+  };
+}
+
+// ISO date / datetime or ms -> ms; undefined when empty, NaN when invalid.
+// `endOfDay`: a plain date means the end of that day (inclusive "to").
+function parseTime(value, { endOfDay = false } = {}) {
+  if (value == null || value === "") return undefined;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  const ms = Date.parse(s);
+  if (Number.isNaN(ms)) return NaN;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? ms + 24 * 3600 * 1000 - 1 : ms;
+}
+
+// Removes everything stored under the batch's output prefix -> { objects, bytes }
+async function deleteBatchOutputs(job) {
+  const objects = await storage.list(OUTPUT_BUCKET, outputPrefixOf(job));
+  await storage.remove(OUTPUT_BUCKET, objects.map((o) => o.path));
+  return { objects: objects.length, bytes: objects.reduce((sum, o) => sum + o.size, 0) };
+}
+
+let retentionRunning = false;
+
+/**
+ * Deletes the outputs of finished batches created more than `days` ago (of
+ * `owner`, every owner when unset). The job stays listed with
+ * `outputs_deleted_at`. `dryRun` only reports.
+ * -> { dry_run, days, cutoff, batches: [{ batchId, owner, status, createdAt,
+ *      objects, bytes }], objects, bytes }
+ */
+async function runRetention({ days, dryRun = false }) {
+  const cutoff = Date.now() - days * 24 * 3600 * 1000;
+  const report = { dry_run: dryRun, days, cutoff, batches: [], objects: 0, bytes: 0 };
+  if (!dryRun) {
+    if (retentionRunning) throw new Error("retention_already_running");
+    retentionRunning = true;
+  }
+
+  try {
+    // records aren't removed, so offset paging stays stable while we delete
+    for (let offset = 0; ; offset += 100) {
+      const page = await jobStore.list({
+        statuses: FINISHED_STATUSES,
+        to: cutoff,
+        limit: 100,
+        offset,
       });
-      ff.on("error", reject);
-      ff.on("close", (code) => {
-        if (code === 0) return resolve();
-        reject(new Error(`ffmpeg_failed code=${code}\n${stderr.slice(-3000)}`));
+      for (const job of page.jobs) {
+        if (job.outputs_deleted_at || jobs.has(job.batchId)) continue;
+        const objects = await storage.list(OUTPUT_BUCKET, outputPrefixOf(job));
+        const bytes = objects.reduce((sum, o) => sum + o.size, 0);
+        if (!dryRun) {
+          await storage.remove(OUTPUT_BUCKET, objects.map((o) => o.path));
+          job.outputs_deleted_at = Date.now();
+          job.updatedAt = Date.now();
+          await jobStore.save(job);
+        }
+        report.batches.push({
+          batchId: job.batchId,
+          owner: job.owner ?? null,
+          status: job.status,
+          createdAt: job.createdAt,
+          objects: objects.length,
+          bytes,
+        });
+        report.objects += objects.length;
+        report.bytes += bytes;
+      }
+      if (offset + page.jobs.length >= page.total || !page.jobs.length) break;
+    }
+  } finally {
+    if (!dryRun) retentionRunning = false;
+  }
+  return report;
+}
+
+function quotaOf(tenant) {
+  return { ...QUOTA_DEFAULTS, ...(tenant ? TENANT_QUOTAS[tenant] : null) };
+}
+
+function filesQuotaError(tenant, count) {
+  const limit = quotaOf(tenant).files_per_batch;
+  if (!limit || count <= limit) return null;
+  return { ok: false, error: "quota_exceeded", quota: "files_per_batch", limit, count };
+}
+
+/**
+ * `Idempotency-Key` header on the batch endpoints (`source` = upload | storage).
+ * A key seen within IDEMPOTENCY_TTL_MS answers with the batch it created
+ * (200, `replayed: true`); while its first request is still running, 409.
+ * Runs before the quota check and multer: a replay is free and never uploads.
+ */
+function idempotentSubmit(source) {
+  return async (req, res, next) => {
+    const header = req.get("Idempotency-Key");
+    if (header == null) return next();
+    const key = header.trim();
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return res.status(400).json({ ok: false, error: "invalid_idempotency_key" });
+    }
+
+    const owner = req.auth?.tenant ?? null;
+    const slot = `${owner ?? ""}\n${key}`;
+    let existing;
+    try {
+      existing = submitting.has(slot) ? null : await findIdempotentJob(owner, key);
+    } catch (err) {
+      req.log.error("idempotency lookup failed", { err });
+      return res
+        .status(500)
+        .json({ ok: false, error: "internal_error", message: err.message });
+    }
+
+    if (existing) {
+      if (existing.payload?.source !== source) {
+        return res.status(422).json({
+          ok: false,
+          error: "idempotency_key_reused",
+          batchId: existing.batchId,
+        });
+      }
+      return res.status(200).json({
+        ...queuedResponse(existing),
+        queued: existing.status === "queued",
+        count: existing.count || 0,
+        message: "already submitted",
+        replayed: true,
       });
+    }
+    if (submitting.has(slot)) {
+      return res.status(409).json({ ok: false, error: "idempotency_key_in_use" });
+    }
+
+    // held until the response is out; by then createJob has registered the key
+    submitting.add(slot);
+    res.on("close", () => submitting.delete(slot));
+    req.idempotencyKey = key;
+    next();
+  };
+}
+
+// Live jobs (not persisted yet right after createJob), then the store; live
+// jobs again in case a batch was created while the store was answering
+async function findIdempotentJob(owner, key) {
+  const since = Date.now() - IDEMPOTENCY_TTL_MS;
+  const live = () =>
+    [...jobs.values()].find(
+      (j) => (j.owner ?? null) === owner && j.idempotency_key === key && j.createdAt >= since
+    );
+  return live() || (await jobStore.findByIdempotencyKey(owner, key, since)) || live() || null;
+}
+
+/**
+ * Runs right before multer: an upload that wouldn't leave MIN_FREE_DISK_MB
+ * free (by its Content-Length) is turned away before a byte hits the disk.
+ * Accepted requests count in `uploadsReceiving` until answered.
+ */
+async function checkUploadSpace(req, res, next) {
+  const incoming = Number(req.get("content-length")) || 0;
+  const needed = incoming + MIN_FREE_DISK_MB * 2 ** 20;
+  const free = await freeDisk(UPLOADS_DIR);
+  if (free != null && free < needed) {
+    return res.status(507).json(insufficientDisk(needed, free));
+  }
+  uploadsReceiving += 1;
+  res.on("close", () => {
+    uploadsReceiving -= 1;
+  });
+  next();
+}
+
+function insufficientDisk(needed, free) {
+  return {
+    ok: false,
+    error: "insufficient_disk",
+    needed_mb: Math.ceil(needed / 2 ** 20),
+    free_mb: Math.floor(free / 2 ** 20),
+  };
+}
+
+/**
+ * Temp disk a batch needs before it starts: the ZIP collects every output and
+ * each clip in flight holds an input (uploads are on disk already). Storage
+ * inputs count as DISK_ESTIMATE_CLIP_MB. Waits while other batches run (they
+ * free their space when done). -> null, or an `insufficient_disk` error.
+ */
+async function ensureJobDisk(job, signal, log) {
+  const { payload } = job;
+  const presetCount = (payload.presets || DEFAULT_PRESETS).length;
+  const fromUpload = payload.source === "upload";
+  const indices = payload.retryIdx || payload.paths.map((_, i) => i);
+  const sizes = await Promise.all(
+    indices.map((i) =>
+      fromUpload && payload.uploads[i]
+        ? fs.stat(payload.uploads[i]).then((st) => st.size, () => 0)
+        : DISK_ESTIMATE_CLIP_MB * 2 ** 20
+    )
+  );
+  const total = sizes.reduce((sum, n) => sum + n, 0);
+  const inFlight = fromUpload ? 0 : CLIP_CONCURRENCY * Math.max(0, ...sizes);
+  const needed = total * presetCount + inFlight + MIN_FREE_DISK_MB * 2 ** 20;
+
+  const dir = os.tmpdir();
+  await waitForResources({
+    dir,
+    minFreeDisk: needed,
+    busy: () => activeBatches > 1, // this batch holds one slot itself
+    signal,
+    log: (msg) => log.warn(msg, { stage: "disk" }),
+  });
+  const free = await freeDisk(dir);
+  if (free == null || free >= needed) return null;
+
+  const err = new Error("insufficient_disk");
+  const { needed_mb, free_mb } = insufficientDisk(needed, free);
+  err.details = { needed_mb, free_mb };
+  return err;
+}
+
+const BATCH_DIR_RE = /^batch_[A-Za-z0-9_-]{10}$/;
+
+// Upload leftovers + batch temp dirs of jobs that aren't queued or running
+async function sweepTempFiles() {
+  const owned = (name) => ["queued", "processing"].includes(jobs.get(name)?.status);
+  const minAgeMs = ORPHAN_MIN_AGE_MIN * 60 * 1000;
+  const results = [
+    await sweepOrphans({
+      dir: UPLOADS_DIR,
+      // loose multer files may belong to a request still being received
+      match: (name) => BATCH_DIR_RE.test(name) || uploadsReceiving === 0,
+      isOwned: owned,
+      minAgeMs,
+    }),
+    await sweepOrphans({
+      dir: os.tmpdir(),
+      match: (name) => BATCH_DIR_RE.test(name),
+      isOwned: owned,
+      minAgeMs,
+    }),
+  ];
+  const removed = results.flatMap((r) => r.removed);
+  if (removed.length) {
+    const mb = Math.round(results.reduce((sum, r) => sum + r.bytes, 0) / 2 ** 20);
+    logger.info("orphaned temp files removed", { component: "sweep", entries: removed.length, mb });
+  }
+}
+
+// Runs before multer so rejected uploads never hit the disk
+async function checkDailyQuota(req, res, next) {
+  const limit = quotaOf(req.auth?.tenant).batches_per_day;
+  if (!limit) return next();
+
+  const dayStart = new Date();
+  dayStart.setUTCHours(0, 0, 0, 0);
+  let used;
+  try {
+    used = await jobStore.countCreatedSince(req.auth.tenant, dayStart.getTime());
+  } catch (err) {
+    req.log.error("quota lookup failed", { err });
+    return res
+      .status(500)
+      .json({ ok: false, error: "internal_error", message: err.message });
+  }
+  if (used >= limit) {
+    return res.status(429).json({
+      ok: false,
+      error: "quota_exceeded",
+      quota: "batches_per_day",
+      limit,
+      used,
     });
   }
+  next();
+}
 
-  // Try to copy audio (fast). If it fails (weird inputs), fallback to AAC.
-  const tryCopyAudio = [...baseArgs, "-c:a", "copy", outPath];
-  const fallbackAac = [...baseArgs, "-c:a", "aac", "-b:a", "128k", outPath];
+// 202 body of both batch endpoints
+function queuedResponse(job) {
+  return {
+    ok: true,
+    batchId: job.batchId,
+    status: job.status,
+    queued: true,
+    level: job.level,
+    noCaptionMode: job.noCaptionMode,
+    theme: job.theme,
+    count: 0,
+    message: "queued",
+  };
+}
 
-  return spawnFfmpeg(tryCopyAudio).catch(() => spawnFfmpeg(fallbackAac));
+function unknownThemeError(theme) {
+  return {
+    ok: false,
+    error: "unknown_theme",
+    theme,
+    available: listThemes().map((t) => t.id),
+  };
 }
 
-function withTimeout(promise, ms, label) {
+// `avoidRecent`: number of previous batches whose captions to avoid
+function parseAvoidRecent(value) {
+  const n = value == null || value === "" ? CAPTION_AVOID_RECENT_BATCHES : Number(value);
+  return Number.isFinite(n) && n > 0
+    ? Math.min(Math.floor(n), MAX_AVOID_RECENT_BATCHES)
+    : 0;
+}
+
+// Captions used by the last `n` finished batches of the same tenant (best effort)
+async function recentCaptions(n, owner = null) {
+  if (!n) return new Set();
+  try {
+    const recent = await jobStore.listRecentDone(n, owner);
+    return new Set(
+      recent.flatMap((j) => (j.results || []).map((r) => r.caption)).filter(Boolean)
+    );
+  } catch (e) {
+    logger.warn("could not load recent captions", { component: "captions", err: e });
+    return new Set();
+  }
+}
+
+function invalidLocalesError(invalid) {
+  return { ok: false, error: "invalid_locale", invalid };
+}
+
+function unknownExportsError(unknown) {
+  return {
+    ok: false,
+    error: "unknown_export_format",
+    unknown,
+    available: Object.keys(EXPORTERS),
+  };
+}
+
+// Render the requested exports (see exporters.js) and upload them next to the
+// clips; `dir` is the preset sub-folder when a batch has several presets
+async function uploadExports({ outputPrefix, dir = "", preset, formats, results, meta }) {
+  const files = renderExports(formats, results, meta).map((f) => ({
+    ...f,
+    file: `${dir}${f.file}`,
+  }));
+  const exports = [];
+
+  for (const f of files) {
+    const objectPath = `${outputPrefix}/${f.file}`;
+    const body = Buffer.from(f.body, "utf8");
+    const { value: url } = await transfer(
+      () => uploadOutputBuffer(objectPath, body, f.contentType),
+      { timeoutMs: 60000, timeoutLabel: "upload_timeout", op: "upload", path: objectPath }
+    );
+    exports.push({ format: f.format, preset, file: f.file, url });
+  }
+
+  return { files, exports };
+}
+
+// `csv_url` keeps pointing at the Metricool CSV (what existing callers expect)
+function metricoolUrl(exports) {
+  return exports.find((e) => e.format === "metricool")?.url || null;
+}
+
+// A single-preset json export is the bundle's manifest.json (no second one is added)
+function hasRootManifest(files) {
+  return files.some((f) => f.file === "manifest.json");
+}
+
+// Close the batch ZIP (export files + manifest.json go in last) and upload it next to the clips
+async function finishZipBundle({ zip, zipPath, batchId, outputPrefix, files, manifest }) {
+  for (const f of files) {
+    await zip.addBuffer(Buffer.from(f.body, "utf8"), f.file);
+  }
+  if (!hasRootManifest(files)) {
+    await zip.addBuffer(
+      Buffer.from(JSON.stringify(manifest, null, 2), "utf8"),
+      "manifest.json"
+    );
+  }
+  await zip.finalize();
+
+  const objectPath = `${outputPrefix}/${batchId}.zip`;
+  const { value: url } = await transfer(
+    (s) => uploadOutputFile(objectPath, zipPath, "application/zip", { signal: s }),
+    {
+      timeoutMs: ZIP_UPLOAD_TIMEOUT_MS,
+      timeoutLabel: "zip_upload_timeout",
+      op: "upload",
+      path: objectPath,
+    }
+  );
+  return url;
+}
+
+/**
+ * errors[] fields for a failed step: `stage` = where (download, probe,
+ * validate, branding, encode, probe_output, upload, finalize), `code` =
+ * machine-readable reason,
+ * `message` = one line, `details` = extra context (limits, stderr tail),
+ * `attempts` = tries of a storage transfer before it gave up.
+ */
+function clipFailure(e, stage) {
+  const message = String(e?.message || e || "error").split("\n")[0];
+  const code =
+    typeof e?.code === "string" ? e.code : message.split(/\s/)[0] || "error";
+  return {
+    stage,
+    code,
+    message,
+    ...(e?.details ? { details: e.details } : {}),
+    ...(e?.attempts ? { attempts: e.attempts } : {}),
+  };
+}
+
+/**
+ * Storage transfer with retries (RETRY_POLICY). `fn(signal)` is one attempt;
+ * each attempt has its own timeout and abort controller, so a timed-out
+ * attempt is stopped before the next starts. Cancel (`signal`) ends it for
+ * good. Failed attempts and outcomes feed the storage metrics by `op`.
+ * -> { value, attempts }
+ */
+async function transfer(fn, { signal, timeoutMs, timeoutLabel, op, path: objectPath }) {
+  try {
+    const done = await withRetry(
+      async () => {
+        const attempt = signal ? linkedAbort(signal) : new AbortController();
+        try {
+          return await withTimeout(fn(attempt.signal), timeoutMs, timeoutLabel, attempt);
+        } catch (e) {
+          if (!signal?.aborted) metric.storageErrors.inc({ op, cause: storageErrorCause(e) });
+          throw e;
+        } finally {
+          attempt.release?.();
+        }
+      },
+      {
+        ...RETRY_POLICY,
+        signal,
+        onRetry: ({ error, attempt, delayMs }) => {
+          logger.warn("storage transfer failed, retrying", {
+            component: "storage",
+            op,
+            path: objectPath,
+            attempt,
+            delay_ms: delayMs,
+            err: error,
+          });
+        },
+      }
+    );
+    metric.storageOps.inc({ op, result: "ok" });
+    return done;
+  } catch (e) {
+    if (!signal?.aborted) metric.storageOps.inc({ op, result: "error" });
+    throw e;
+  }
+}
+
+// Failed input download -> errors[] entry. Driver messages can carry local
+// paths or storage URLs (ENOENT '/srv/storage/inputs/...'), so the client
+// gets input_not_found | download_failed and the cause; the log has the rest.
+function downloadFailure(e) {
+  const status = statusOf(e);
+  const missing = e?.code === "ENOENT" || status === 404;
+  const code = missing ? "input_not_found" : "download_failed";
+  return {
+    stage: "download",
+    code,
+    message: code,
+    details: { cause: storageErrorCause(e), ...(status ? { status } : {}) },
+    ...(e?.attempts ? { attempts: e.attempts } : {}),
+  };
+}
+
+// Failed transfer attempt -> metrics label
+// (http_<4xx status> | http_5xx | timeout | not_found | network | other)
+function storageErrorCause(e) {
+  const status = statusOf(e);
+  if (status) return status >= 500 ? "http_5xx" : `http_${status}`;
+  if (/_timeout$/.test(String(e?.message))) return "timeout";
+  if (e?.code === "ENOENT") return "not_found"; // local driver
+  if (isRetryable(e)) return "network";
+  return "other";
+}
+
+// AbortController that also fires when `parent` does; release() unlinks it
+function linkedAbort(parent) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) onAbort();
+  else parent.addEventListener("abort", onAbort, { once: true });
+  controller.release = () => parent.removeEventListener("abort", onAbort);
+  return controller;
+}
+
+// `controller` (optional) is aborted when the timeout hits, so the work behind
+// `promise` (ffmpeg, transfers) is actually stopped instead of left running.
+// An abort from elsewhere (cancel) rejects right away too.
+function withTimeout(promise, ms, label, controller) {
+  let timer;
+  let onAbort;
+  const signal = controller?.signal;
   return Promise.race([
     promise,
-    new Promise((_, reject) => setTimeout(() => reject(new Error(label)), ms)),
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(label);
+        controller?.abort(err);
+        reject(err);
+      }, ms);
+      if (signal) {
+        onAbort = () => reject(signal.reason || new Error("aborted"));
+        if (signal.aborted) onAbort();
+        else signal.addEventListener("abort", onAbort, { once: true });
+      }
+    }),
+  ]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener("abort", onAbort);
+  });
+}
+
+// The operator's DEFAULT_CALLBACK_URL may point inside the network, a
+// caller's callback_url must resolve to public addresses (see webhooks.js)
+function callbackAllowsPrivate(url) {
+  return WEBHOOK_ALLOW_PRIVATE || url === DEFAULT_CALLBACK_URL;
+}
+
+// -> error body when a submitted callback URL can't be used, else null
+async function callbackUrlError(url) {
+  if (!url) return null;
+  const blocked = await checkCallbackUrl(url, { allowPrivate: callbackAllowsPrivate(url) });
+  return blocked ? { ok: false, error: "invalid_callback_url", reason: blocked } : null;
+}
+
+// POST the finished job to its callback URL (signed, retried; see webhooks.js).
+// The delivery log lands in job.webhook and is persisted after every attempt.
+// Deliveries still open when the process stops are re-sent on startup
+// (recoverWebhooks), so a receiver may see the same event twice.
+async function notifyCallback(job) {
+  const url = job.payload?.callbackUrl;
+  if (!url || !WEBHOOK_SECRET) return;
+  if (job.status !== "done" && job.status !== "error") return;
+
+  // a retry re-loads the batch from the store; from then on this (older)
+  // copy must not overwrite it
+  const save = () => {
+    const live = jobs.get(job.batchId);
+    return live && live !== job ? Promise.resolve(false) : persistJob(job);
+  };
+
+  job.webhook = job.webhook || { status: "waiting", deliveries: [] };
+  job.webhook.status = "pending";
+  const payload = publicJob(job);
+  void save();
+
+  try {
+    const { delivered, attempts } = await deliverWebhook({
+      url,
+      secret: WEBHOOK_SECRET,
+      event: `batch.${job.status}`,
+      payload,
+      log: job.webhook.deliveries,
+      onAttempt: save,
+      allowPrivate: callbackAllowsPrivate(url),
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+    });
+    job.webhook.status = delivered ? "delivered" : "failed";
+    if (!delivered) {
+      batchLogger(job).warn("webhook delivery failed, giving up", {
+        component: "webhooks",
+        attempts,
+      });
+    }
+  } catch (e) {
+    batchLogger(job).error("webhook delivery crashed", { component: "webhooks", err: e });
+    job.webhook.status = "failed";
+  }
+  await save();
+}
+
+// ---- Resume batches that were queued or running when the process last stopped
+async function recoverJobs() {
+  const unfinished = await jobStore.listByStatus(["queued", "processing"]);
+
+  for (const job of unfinished) {
+    if (job.status === "processing") {
+      // temp files don't survive a restart -> re-run the whole batch,
+      // but give up on batches that keep taking the process down
+      job.restarts = (job.restarts || 0) + 1;
+      if (job.restarts > MAX_JOB_RESTARTS) {
+        job.status = "error";
+        job.errors = [
+          ...(job.errors || []),
+          {
+            idx: null,
+            stage: "restart",
+            code: "interrupted_too_often",
+            message: "interrupted_too_often",
+          },
+        ];
+        touchJob(job);
+        continue;
+      }
+      job.status = "queued";
+      job.progress = 0;
+      job.zip_progress = 0;
+      job.phase = null;
+      // an interrupted retry keeps its earlier results and re-runs retryIdx
+      if (!job.payload.retryIdx) {
+        job.results = [];
+        job.errors = [];
+      }
+    }
+
+    jobs.set(job.batchId, job);
+    jobQueue.push(job.batchId);
+    touchJob(job);
+  }
+
+  if (jobQueue.length) {
+    jobLog.info("resuming unfinished batches", { batches: jobQueue.length });
+    void processQueue();
+  }
+}
+
+// Finished batches whose callback was still waiting or pending when the
+// process stopped (deliveries only retry in memory): send them again
+const WEBHOOK_RECOVER_HOURS = 24;
+async function recoverWebhooks() {
+  if (!WEBHOOK_SECRET) return;
+  const { jobs: recent } = await jobStore.list({
+    statuses: ["done", "error"],
+    from: Date.now() - WEBHOOK_RECOVER_HOURS * 3600 * 1000,
+    limit: 500,
+  });
+  const open = recent.filter(
+    (job) => job.payload?.callbackUrl && ["waiting", "pending"].includes(job.webhook?.status)
+  );
+  if (open.length) logger.info("resending webhooks", { component: "webhooks", batches: open.length });
+  for (const job of open) void notifyCallback(job);
+}
+
+await recoverJobs();
+void recoverWebhooks().catch((e) =>
+  logger.error("webhook recovery failed", { component: "webhooks", err: e })
+);
+
+// after recovery, so resumed batches own their temp files
+const sweepOrphaned = () =>
+  sweepTempFiles().catch((e) => logger.error("sweep failed", { component: "sweep", err: e }));
+void sweepOrphaned();
+setInterval(sweepOrphaned, ORPHAN_SWEEP_INTERVAL_MIN * 60 * 1000).unref();
+
+if (RETENTION_DAYS > 0) {
+  const sweep = async () => {
+    try {
+      const report = await runRetention({ days: RETENTION_DAYS, dryRun: RETENTION_DRY_RUN });
+      if (report.batches.length) {
+        logger.info(RETENTION_DRY_RUN ? "retention dry run" : "retention deleted outputs", {
+          component: "retention",
+          batches: report.batches.length,
+          objects: report.objects,
+          mb: Math.round(report.bytes / 2 ** 20),
+        });
+      }
+    } catch (e) {
+      logger.error("retention sweep failed", { component: "retention", err: e });
+    }
+  };
+  setTimeout(sweep, 60 * 1000).unref();
+  setInterval(sweep, RETENTION_INTERVAL_HOURS * 3600 * 1000).unref();
+  logger.info("retention scheduled", {
+    component: "retention",
+    days: RETENTION_DAYS,
+    interval_hours: RETENTION_INTERVAL_HOURS,
+    dry_run: RETENTION_DRY_RUN,
+  });
 }
 
-app.listen(PORT, () => console.log(`✅ ContentMølle backend on :${PORT}`)); 
\ No newline at end of file
+app.listen(PORT, () =>
+  logger.info("ContentMølle backend listening", { component: "server", port: PORT })
+); 
\ No newline at end of file
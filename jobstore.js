@@ -0,0 +1,337 @@
+import path from "path";
+import fs from "fs/promises";
+
+/**
+ * Durable job store (survives restarts/deploys)
+ *
+ * Drivers (JOB_STORE):
+ *  - "sqlite"   (default) single file, good for local dev / single instance
+ *  - "supabase" table in Postgres, for Render where the disk is ephemeral
+ *  - "memory"   no persistence (old behaviour)
+ *
+ * Supabase table:
+ *
+ *   create table molle_jobs (
+ *     batch_id   text primary key,
+ *     status     text not null,
+ *     owner      text,
+ *     idempotency_key text,
+ *     created_at bigint not null,
+ *     updated_at bigint not null,
+ *     data       jsonb not null
+ *   );
+ *   create index molle_jobs_status_idx on molle_jobs (status);
+ *   create index molle_jobs_owner_idx on molle_jobs (owner, created_at);
+ *   create index molle_jobs_idempotency_idx on molle_jobs (owner, idempotency_key);
+ *
+ * Tables created before tenants / idempotency keys existed need:
+ *   alter table molle_jobs add column owner text;
+ *   alter table molle_jobs add column idempotency_key text;
+ *
+ * `owner` is the tenant id (null while authentication is off),
+ * `idempotency_key` the `Idempotency-Key` header the batch was submitted with.
+ */
+export async function createJobStore({ driver = "sqlite", sqlitePath, supabase, table } = {}) {
+  let store;
+  if (driver === "sqlite") store = await createSqliteStore(sqlitePath);
+  else if (driver === "supabase") store = createSupabaseStore(supabase, table);
+  else if (driver === "memory") store = createMemoryStore();
+  else throw new Error(`unknown_job_store driver=${driver}`);
+
+  // Serialize writes per job so a slow upsert can't land after a newer one
+  const pending = new Map();
+
+  return {
+    driver,
+    get: (batchId) => store.get(batchId),
+    listByStatus: (statuses) => store.listByStatus(statuses),
+    // most recent finished ("done") jobs of one owner first
+    listRecentDone: (limit, owner = null) => store.listRecentDone(limit, owner),
+    // batches an owner created since `since` (ms), for daily quotas
+    countCreatedSince: (owner, since) => store.countCreatedSince(owner, since),
+    // newest job an owner submitted with `key` since `since` (ms), or null
+    findByIdempotencyKey: (owner, key, since) =>
+      store.findByIdempotencyKey(owner, key, since),
+    /**
+     * Newest first, one page: -> { jobs, total }. Filters (all optional):
+     * owner (undefined = every owner, null = jobs without one), statuses[],
+     * theme, from / to (createdAt range, ms, inclusive), limit, offset.
+     */
+    list: (filters = {}) => store.list({ limit: 50, offset: 0, ...filters }),
+    save(job) {
+      const snapshot = JSON.parse(JSON.stringify(job));
+      return enqueue(job.batchId, () => store.save(snapshot));
+    },
+    // after any pending save of the job, so it can't come back
+    remove(batchId) {
+      return enqueue(batchId, () => store.remove(batchId));
+    },
+  };
+
+  function enqueue(batchId, write) {
+    const prev = pending.get(batchId) || Promise.resolve();
+    const next = prev.catch(() => {}).then(write);
+    pending.set(batchId, next);
+    next
+      .finally(() => {
+        if (pending.get(batchId) === next) pending.delete(batchId);
+      })
+      .catch(() => {});
+    return next;
+  }
+}
+
+function toRow(job) {
+  return {
+    batch_id: job.batchId,
+    status: job.status,
+    owner: job.owner ?? null,
+    idempotency_key: job.idempotency_key ?? null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+  };
+}
+
+async function createSqliteStore(filePath) {
+  const { default: Database } = await import("better-sqlite3");
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    create table if not exists jobs (
+      batch_id   text primary key,
+      status     text not null,
+      created_at integer not null,
+      updated_at integer not null,
+      data       text not null
+    );
+    create index if not exists jobs_status_idx on jobs (status);
+  `);
+  // databases from before tenants / idempotency keys
+  const columns = db.prepare("pragma table_info(jobs)").all().map((c) => c.name);
+  if (!columns.includes("owner")) db.exec("alter table jobs add column owner text");
+  if (!columns.includes("idempotency_key")) {
+    db.exec("alter table jobs add column idempotency_key text");
+  }
+  db.exec("create index if not exists jobs_owner_idx on jobs (owner, created_at)");
+  db.exec(
+    "create index if not exists jobs_idempotency_idx on jobs (owner, idempotency_key)"
+  );
+
+  const upsert = db.prepare(`
+    insert into jobs (batch_id, status, owner, idempotency_key, created_at, updated_at, data)
+    values (@batch_id, @status, @owner, @idempotency_key, @created_at, @updated_at, @data)
+    on conflict (batch_id) do update set
+      status = excluded.status,
+      owner = excluded.owner,
+      idempotency_key = excluded.idempotency_key,
+      updated_at = excluded.updated_at,
+      data = excluded.data
+  `);
+  const selectOne = db.prepare("select data from jobs where batch_id = ?");
+  // `is` matches null too (authentication off)
+  const selectRecentDone = db.prepare(
+    "select data from jobs where status = 'done' and owner is ? order by created_at desc limit ?"
+  );
+  const countSince = db.prepare(
+    "select count(*) as n from jobs where owner is ? and created_at >= ?"
+  );
+  const deleteOne = db.prepare("delete from jobs where batch_id = ?");
+  const selectByKey = db.prepare(
+    `select data from jobs where owner is ? and idempotency_key = ? and created_at >= ?
+     order by created_at desc limit 1`
+  );
+
+  return {
+    async save(job) {
+      upsert.run({ ...toRow(job), data: JSON.stringify(job) });
+    },
+    async get(batchId) {
+      const row = selectOne.get(batchId);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async listByStatus(statuses) {
+      if (!statuses.length) return [];
+      const rows = db
+        .prepare(
+          `select data from jobs where status in (${statuses.map(() => "?").join(",")})
+           order by created_at asc`
+        )
+        .all(...statuses);
+      return rows.map((r) => JSON.parse(r.data));
+    },
+    async listRecentDone(limit, owner) {
+      return selectRecentDone.all(owner, limit).map((r) => JSON.parse(r.data));
+    },
+    async countCreatedSince(owner, since) {
+      return countSince.get(owner, since).n;
+    },
+    async findByIdempotencyKey(owner, key, since) {
+      const row = selectByKey.get(owner, key, since);
+      return row ? JSON.parse(row.data) : null;
+    },
+    async list({ owner, statuses, theme, from, to, limit, offset }) {
+      const where = [];
+      const params = [];
+      const add = (sql, ...values) => {
+        where.push(sql);
+        params.push(...values);
+      };
+      if (owner !== undefined) add("owner is ?", owner);
+      if (statuses?.length) add(`status in (${statuses.map(() => "?").join(",")})`, ...statuses);
+      if (theme) add("json_extract(data, '$.theme') = ?", theme);
+      if (from != null) add("created_at >= ?", from);
+      if (to != null) add("created_at <= ?", to);
+      const clause = where.length ? `where ${where.join(" and ")}` : "";
+
+      const { n } = db.prepare(`select count(*) as n from jobs ${clause}`).get(...params);
+      const rows = db
+        .prepare(`select data from jobs ${clause} order by created_at desc limit ? offset ?`)
+        .all(...params, limit, offset);
+      return { jobs: rows.map((r) => JSON.parse(r.data)), total: n };
+    },
+    async remove(batchId) {
+      deleteOne.run(batchId);
+    },
+  };
+}
+
+function createSupabaseStore(supabase, table = "molle_jobs") {
+  if (!supabase) throw new Error("supabase_not_configured");
+
+  return {
+    async save(job) {
+      const { error } = await supabase
+        .from(table)
+        .upsert({ ...toRow(job), data: job }, { onConflict: "batch_id" });
+      if (error) throw error;
+    },
+    async get(batchId) {
+      const { data, error } = await supabase
+        .from(table)
+        .select("data")
+        .eq("batch_id", batchId)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? data.data : null;
+    },
+    async listByStatus(statuses) {
+      if (!statuses.length) return [];
+      const { data, error } = await supabase
+        .from(table)
+        .select("data")
+        .in("status", statuses)
+        .order("created_at", { ascending: true });
+      if (error) throw error;
+      return (data || []).map((r) => r.data);
+    },
+    async listRecentDone(limit, owner) {
+      let query = supabase.from(table).select("data").eq("status", "done");
+      query = owner == null ? query.is("owner", null) : query.eq("owner", owner);
+      const { data, error } = await query
+        .order("created_at", { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map((r) => r.data);
+    },
+    async countCreatedSince(owner, since) {
+      let query = supabase
+        .from(table)
+        .select("batch_id", { count: "exact", head: true })
+        .gte("created_at", since);
+      query = owner == null ? query.is("owner", null) : query.eq("owner", owner);
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+    async findByIdempotencyKey(owner, key, since) {
+      let query = supabase
+        .from(table)
+        .select("data")
+        .eq("idempotency_key", key)
+        .gte("created_at", since);
+      query = owner == null ? query.is("owner", null) : query.eq("owner", owner);
+      const { data, error } = await query
+        .order("created_at", { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0]?.data || null;
+    },
+    async list({ owner, statuses, theme, from, to, limit, offset }) {
+      let query = supabase.from(table).select("data", { count: "exact" });
+      if (owner === null) query = query.is("owner", null);
+      else if (owner !== undefined) query = query.eq("owner", owner);
+      if (statuses?.length) query = query.in("status", statuses);
+      if (theme) query = query.eq("data->>theme", theme);
+      if (from != null) query = query.gte("created_at", from);
+      if (to != null) query = query.lte("created_at", to);
+      const { data, count, error } = await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { jobs: (data || []).map((r) => r.data), total: count || 0 };
+    },
+    async remove(batchId) {
+      const { error } = await supabase.from(table).delete().eq("batch_id", batchId);
+      if (error) throw error;
+    },
+  };
+}
+
+function createMemoryStore() {
+  const rows = new Map();
+
+  return {
+    async save(job) {
+      rows.set(job.batchId, job);
+    },
+    async get(batchId) {
+      return rows.get(batchId) || null;
+    },
+    async listByStatus(statuses) {
+      return [...rows.values()]
+        .filter((j) => statuses.includes(j.status))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+    async listRecentDone(limit, owner) {
+      return [...rows.values()]
+        .filter((j) => j.status === "done" && (j.owner ?? null) === owner)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+    },
+    async countCreatedSince(owner, since) {
+      return [...rows.values()].filter(
+        (j) => (j.owner ?? null) === owner && j.createdAt >= since
+      ).length;
+    },
+    async findByIdempotencyKey(owner, key, since) {
+      return (
+        [...rows.values()]
+          .filter(
+            (j) =>
+              (j.owner ?? null) === owner &&
+              j.idempotency_key === key &&
+              j.createdAt >= since
+          )
+          .sort((a, b) => b.createdAt - a.createdAt)[0] || null
+      );
+    },
+    async list({ owner, statuses, theme, from, to, limit, offset }) {
+      const matching = [...rows.values()]
+        .filter(
+          (j) =>
+            (owner === undefined || (j.owner ?? null) === owner) &&
+            (!statuses?.length || statuses.includes(j.status)) &&
+            (!theme || j.theme === theme) &&
+            (from == null || j.createdAt >= from) &&
+            (to == null || j.createdAt <= to)
+        )
+        .sort((a, b) => b.createdAt - a.createdAt);
+      return { jobs: matching.slice(offset, offset + limit), total: matching.length };
+    },
+    async remove(batchId) {
+      rows.delete(batchId);
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Structured logs: one JSON object per line (debug/info on stdout, warn/error
+ * on stderr)
+ *
+ *   {"time":"2026-10-19T08:12:03.120Z","level":"info","component":"clip",
+ *    "batchId":"batch_x1y2z3a4b5","idx":3,"msg":"encode done",
+ *    "stage":"encode","preset":"tiktok","duration_ms":8123}
+ *
+ * `log.child(fields)` stamps fields (component, batchId, idx, requestId, ...)
+ * on every line it writes. An Error under any key is flattened to
+ * { message, code, details, stack }.
+ *
+ * LOG_LEVEL = debug | info | warn | error (default info)
+ * LOG_FORMAT = json (default) | pretty: `info [clip] encode done idx=3 ...`
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export function createLogger({
+  level = "info",
+  format = "json",
+  fields = {},
+  write = (lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line),
+} = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  const emit = (lvl, msg, extra) => {
+    if (LEVELS[lvl] < min) return;
+    const entry = { time: new Date().toISOString(), level: lvl, ...fields, msg };
+    for (const [key, value] of Object.entries(extra || {})) {
+      if (value !== undefined) entry[key] = value instanceof Error ? errorFields(value) : value;
+    }
+    write(lvl, `${format === "pretty" ? prettyLine(entry) : jsonLine(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, extra) => emit("debug", msg, extra),
+    info: (msg, extra) => emit("info", msg, extra),
+    warn: (msg, extra) => emit("warn", msg, extra),
+    error: (msg, extra) => emit("error", msg, extra),
+    child: (more) => createLogger({ level, format, fields: { ...fields, ...more }, write }),
+  };
+}
+
+export const logger = createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: process.env.LOG_FORMAT || "json",
+});
+
+function errorFields(e) {
+  return {
+    message: String(e.message || e).split("\n")[0],
+    ...(e.code != null ? { code: e.code } : {}),
+    ...(e.details ? { details: e.details } : {}),
+    ...(e.stack ? { stack: e.stack } : {}),
+  };
+}
+
+// a log line must never throw (cycles, BigInt): fall back to the message
+function jsonLine(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    const { time, level, msg } = entry;
+    return JSON.stringify({ time, level, component: entry.component, msg, unserializable: true });
+  }
+}
+
+function prettyLine({ time, level, component, msg, ...rest }) {
+  const stack = rest.err?.stack;
+  if (stack) delete rest.err;
+  const kv = Object.entries(rest).map(([key, value]) => {
+    if (typeof value === "string") return `${key}=${value}`;
+    try {
+      return `${key}=${JSON.stringify(value)}`;
+    } catch {
+      return `${key}=${String(value)}`;
+    }
+  });
+  const line = [time.slice(11, 23), level, component ? `[${component}]` : "", msg, ...kv]
+    .filter(Boolean)
+    .join(" ");
+  return stack ? `${line}\n${stack}` : line;
+}
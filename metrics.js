@@ -0,0 +1,125 @@
+/**
+ * Prometheus metrics (text exposition format 0.0.4) without a client library
+ *
+ *   const metrics = createMetrics({ prefix: "molle_" });
+ *   const done = metrics.counter("clips_total", "Clips finished", ["result"]);
+ *   done.inc({ result: "done" });
+ *   metrics.gauge("queue_length", "Batches waiting", () => queue.length);
+ *   metrics.histogram("stage_duration_seconds", "...", ["stage"], [1, 5, 30])
+ *     .observe({ stage: "encode" }, 8.1);
+ *   res.type(CONTENT_TYPE).send(metrics.render());
+ *
+ * Gauges are read at scrape time (`collect`), counters and histograms live in
+ * memory and start over with the process (Prometheus handles the resets).
+ */
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+export function createMetrics({ prefix = "" } = {}) {
+  const families = [];
+
+  function register(type, name, help, labelNames) {
+    const family = { type, name: prefix + name, help, labelNames, series: new Map() };
+    families.push(family);
+    return family;
+  }
+
+  // one series per label combination; `init` builds its value
+  function seriesOf(family, labels = {}, init) {
+    const key = family.labelNames.map((l) => String(labels[l] ?? "")).join("\u0000");
+    let series = family.series.get(key);
+    if (!series) {
+      series = { labels: pick(labels, family.labelNames), ...init() };
+      family.series.set(key, series);
+    }
+    return series;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const family = register("counter", name, help, labelNames);
+    return {
+      inc(labels, n = 1) {
+        seriesOf(family, labels, () => ({ value: 0 })).value += n;
+      },
+    };
+  }
+
+  // collect() -> number, or [{ labels, value }] for labelled gauges
+  function gauge(name, help, collect, labelNames = []) {
+    const family = register("gauge", name, help, labelNames);
+    family.collect = collect;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const family = register("histogram", name, help, labelNames);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    family.bounds = bounds;
+    return {
+      observe(labels, value) {
+        const series = seriesOf(family, labels, () => ({
+          counts: bounds.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        bounds.forEach((bound, n) => {
+          if (value <= bound) series.counts[n] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      lines.push(`# TYPE ${f.name} ${f.type}`);
+
+      if (f.type === "gauge") {
+        let value;
+        try {
+          value = f.collect();
+        } catch {
+          continue; // a broken gauge shouldn't take the scrape down
+        }
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        for (const s of series) lines.push(sample(f.name, s.labels, s.value));
+      } else if (f.type === "counter") {
+        for (const s of f.series.values()) lines.push(sample(f.name, s.labels, s.value));
+      } else {
+        for (const s of f.series.values()) {
+          f.bounds.forEach((bound, n) => {
+            lines.push(sample(`${f.name}_bucket`, { ...s.labels, le: bound }, s.counts[n]));
+          });
+          lines.push(sample(`${f.name}_bucket`, { ...s.labels, le: "+Inf" }, s.count));
+          lines.push(sample(`${f.name}_sum`, s.labels, s.sum));
+          lines.push(sample(`${f.name}_count`, s.labels, s.count));
+        }
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+function pick(labels, names) {
+  return Object.fromEntries(names.map((l) => [l, String(labels[l] ?? "")]));
+}
+
+function sample(name, labels = {}, value) {
+  const pairs = Object.entries(labels).map(
+    ([key, v]) =>
+      `${key}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return `${name}${pairs.length ? `{${pairs.join(",")}}` : ""} ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  const num = Number(value);
+  if (num === Infinity) return "+Inf";
+  if (num === -Infinity) return "-Inf";
+  return String(num); // NaN stays "NaN"
+}
@@ -0,0 +1,138 @@
+import os from "os";
+import fs from "fs/promises";
+
+/**
+ * Per-clip worker pool
+ *
+ * A batch runs up to CLIP_CONCURRENCY clips at once (`runPool`); the heavy
+ * steps of every clip additionally take a slot of a process-wide semaphore
+ * (downloads, encodes, uploads), so several batches together never exceed the
+ * configured limits. New clips only start while free memory and temp disk
+ * stay above their floors (`waitForResources`).
+ */
+
+/**
+ * Counting semaphore. `run(fn, signal)` waits for a slot (an abort while
+ * waiting rejects with the signal's reason), runs `fn` and frees the slot.
+ */
+export function createSemaphore(max) {
+  const limit = Math.max(1, Math.floor(max) || 1);
+  const waiting = [];
+  let active = 0;
+
+  function release() {
+    active -= 1;
+    while (active < limit && waiting.length) {
+      const next = waiting.shift();
+      next.signal?.removeEventListener("abort", next.onAbort);
+      active += 1;
+      next.resolve();
+    }
+  }
+
+  function acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (active < limit) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, signal };
+      entry.onAbort = () => {
+        const pos = waiting.indexOf(entry);
+        if (pos !== -1) waiting.splice(pos, 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", entry.onAbort, { once: true });
+      waiting.push(entry);
+    });
+  }
+
+  async function run(fn, signal) {
+    await acquire(signal);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    limit,
+    run,
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiting.length;
+    },
+  };
+}
+
+/**
+ * Calls `worker(k)` for k = 0..count-1, at most `concurrency` at a time, in
+ * order of k. Nothing new starts once `signal` is aborted; resolves when every
+ * started worker has settled. `beforeStart` (optional) runs before each start,
+ * e.g. to wait for resources. Workers are expected to handle their own errors.
+ */
+export async function runPool(count, concurrency, worker, { signal, beforeStart } = {}) {
+  let next = 0;
+  const lane = async () => {
+    while (next < count && !signal?.aborted) {
+      await beforeStart?.();
+      if (next >= count || signal?.aborted) return;
+      const k = next++;
+      await worker(k);
+    }
+  };
+  const lanes = Math.max(1, Math.min(Math.floor(concurrency) || 1, count));
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
+
+// Free bytes on the file system holding `dir` (null when unknown)
+export async function freeDisk(dir) {
+  try {
+    const s = await fs.statfs(dir);
+    return s.bavail * s.bsize;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Waits while free memory or disk (of `dir`) are under their floors (bytes,
+ * 0 = no floor) and `busy()` says other work is still running that will free
+ * them up. With nothing else running it returns right away so a batch can't
+ * wait on itself. -> { waitedMs }
+ */
+export async function waitForResources({
+  dir,
+  minFreeMemory = 0,
+  minFreeDisk = 0,
+  busy = () => false,
+  signal,
+  pollMs = 1000,
+  log,
+}) {
+  const started = Date.now();
+  let logged = false;
+
+  for (;;) {
+    signal?.throwIfAborted();
+    const mem = os.freemem();
+    const disk = minFreeDisk ? await freeDisk(dir) : null;
+    const short =
+      (minFreeMemory && mem < minFreeMemory) ||
+      (minFreeDisk && disk != null && disk < minFreeDisk);
+    if (!short || !busy()) return { waitedMs: Date.now() - started };
+
+    if (!logged) {
+      logged = true;
+      log?.(
+        `waiting for resources: free memory ${Math.round(mem / 2 ** 20)} MB` +
+          (disk != null ? `, free disk ${Math.round(disk / 2 ** 20)} MB` : "")
+      );
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
@@ -0,0 +1,231 @@
+import fs from "fs/promises";
+import { logger } from "./logger.js";
+
+/**
+ * Output presets (one encode per clip per preset)
+ *
+ *   {
+ *     "name": "Instagram feed 4:5",
+ *     "width": 1080, "height": 1350,
+ *     "fit": "crop",            crop (fill + cut) | pad (letterbox) | blur (blurred fill behind)
+ *     "fps": 30,                null = keep the source frame rate
+ *     "crf": 23,                quality mode, or
+ *     "videoBitrate": "6M",     bitrate mode (wins over crf)
+ *     "maxDuration": 90,        seconds, null = full length
+ *     "audioCodec": "copy",     copy (AAC fallback) | aac | none
+ *     "audioBitrate": "128k"
+ *   }
+ *
+ * `tiktok` is the old hardcoded encode and stays the default. More presets
+ * (or overrides) can be loaded from OUTPUT_PRESETS_FILE, same shape keyed by id.
+ */
+export const DEFAULT_PRESETS = ["tiktok"];
+
+const PRESET_ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const FITS = ["crop", "pad", "blur"];
+const AUDIO_CODECS = ["copy", "aac", "none"];
+
+const BUILTIN_PRESETS = {
+  tiktok: {
+    name: "TikTok 9:16",
+    width: 1080,
+    height: 1920,
+    fit: "pad",
+    fps: null,
+    crf: 23,
+    maxDuration: null,
+    audioCodec: "copy",
+  },
+  reels: {
+    name: "Instagram Reels 9:16",
+    width: 1080,
+    height: 1920,
+    fit: "blur",
+    fps: 30,
+    crf: 23,
+    maxDuration: 90,
+    audioCodec: "aac",
+  },
+  instagram_feed: {
+    name: "Instagram feed 4:5",
+    width: 1080,
+    height: 1350,
+    fit: "crop",
+    fps: 30,
+    crf: 23,
+    maxDuration: 60,
+    audioCodec: "aac",
+  },
+  instagram_square: {
+    name: "Instagram feed 1:1",
+    width: 1080,
+    height: 1080,
+    fit: "crop",
+    fps: 30,
+    crf: 23,
+    maxDuration: 60,
+    audioCodec: "aac",
+  },
+  youtube_shorts: {
+    name: "YouTube Shorts 9:16",
+    width: 1080,
+    height: 1920,
+    fit: "blur",
+    fps: null,
+    crf: 21,
+    maxDuration: 60,
+    audioCodec: "aac",
+  },
+  landscape: {
+    name: "Landscape 16:9",
+    width: 1920,
+    height: 1080,
+    fit: "blur",
+    fps: null,
+    crf: 23,
+    maxDuration: null,
+    audioCodec: "aac",
+  },
+};
+
+const presets = new Map(
+  Object.entries(BUILTIN_PRESETS).map(([id, p]) => [id, normalizePreset(id, p)])
+);
+
+// Merge presets from a JSON file over the built-in ones (invalid entries are skipped)
+export async function loadPresets(file) {
+  if (file) {
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    for (const [id, preset] of Object.entries(data || {})) {
+      const errors = validatePreset(id, preset);
+      if (errors.length) {
+        logger.warn("skipping preset", { component: "presets", id, errors });
+        continue;
+      }
+      presets.set(id, normalizePreset(id, { ...BUILTIN_PRESETS[id], ...preset }));
+    }
+  }
+  return listPresets();
+}
+
+export function getPreset(id) {
+  return presets.get(String(id || "").trim().toLowerCase()) || null;
+}
+
+export function listPresets() {
+  return [...presets.values()];
+}
+
+/**
+ * Accepts an array (JSON body) or a comma separated string (form-data).
+ * Returns { presets, unknown } with duplicates removed, order kept.
+ */
+export function parsePresets(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+
+  const ids = [
+    ...new Set(list.map((v) => String(v).trim().toLowerCase()).filter(Boolean)),
+  ];
+  if (!ids.length) return { presets: [...DEFAULT_PRESETS], unknown: [] };
+
+  return {
+    presets: ids.filter((id) => presets.has(id)),
+    unknown: ids.filter((id) => !presets.has(id)),
+  };
+}
+
+// -> list of problems (empty when usable). Overrides of built-ins may be partial.
+export function validatePreset(id, p) {
+  const errors = [];
+  if (!PRESET_ID_RE.test(String(id || ""))) errors.push("invalid_preset_id");
+  if (!p || typeof p !== "object" || Array.isArray(p)) {
+    errors.push("preset_must_be_an_object");
+    return errors;
+  }
+  const full = { ...BUILTIN_PRESETS[id], ...p };
+
+  const evenSize = (v) => Number.isInteger(v) && v >= 16 && v <= 4096 && v % 2 === 0;
+  if (!evenSize(full.width)) errors.push("width_must_be_an_even_integer_16_4096");
+  if (!evenSize(full.height)) errors.push("height_must_be_an_even_integer_16_4096");
+  if (full.fit != null && !FITS.includes(full.fit))
+    errors.push(`fit_must_be_one_of_${FITS.join("_")}`);
+  if (full.fps != null && !(Number(full.fps) > 0 && Number(full.fps) <= 120))
+    errors.push("fps_must_be_between_1_and_120");
+  if (full.crf != null && !(Number.isInteger(full.crf) && full.crf >= 0 && full.crf <= 51))
+    errors.push("crf_must_be_an_integer_0_51");
+  if (full.videoBitrate != null && !/^\d+(\.\d+)?[kKmM]?$/.test(String(full.videoBitrate)))
+    errors.push("videoBitrate_must_look_like_6M_or_4500k");
+  if (full.maxDuration != null && !(Number(full.maxDuration) > 0))
+    errors.push("maxDuration_must_be_positive_seconds");
+  if (full.audioCodec != null && !AUDIO_CODECS.includes(full.audioCodec))
+    errors.push(`audioCodec_must_be_one_of_${AUDIO_CODECS.join("_")}`);
+  return errors;
+}
+
+function normalizePreset(id, p) {
+  return {
+    id,
+    name: p.name || id,
+    width: p.width,
+    height: p.height,
+    fit: p.fit || "pad",
+    fps: p.fps ?? null,
+    crf: p.crf ?? 23,
+    videoBitrate: p.videoBitrate ?? null,
+    maxDuration: p.maxDuration ?? null,
+    audioCodec: p.audioCodec || "copy",
+    audioBitrate: p.audioBitrate || "128k",
+  };
+}
+
+// Scale/fit part of the -vf graph (cheap bilinear scaling keeps CPU down).
+// `tag` keeps the blur labels unique when several inputs share one graph.
+export function fitFilter({ width: w, height: h, fit }, tag = "") {
+  if (fit === "crop") {
+    return (
+      `scale=w=${w}:h=${h}:force_original_aspect_ratio=increase:flags=bilinear,` +
+      `crop=${w}:${h}`
+    );
+  }
+  if (fit === "blur") {
+    return (
+      `split=2[bg${tag}][fg${tag}];` +
+      `[bg${tag}]scale=w=${w}:h=${h}:force_original_aspect_ratio=increase:flags=bilinear,` +
+      `crop=${w}:${h},boxblur=20:2[bgb${tag}];` +
+      `[fg${tag}]scale=w=${w}:h=${h}:force_original_aspect_ratio=decrease:flags=bilinear[fgs${tag}];` +
+      `[bgb${tag}][fgs${tag}]overlay=(W-w)/2:(H-h)/2`
+    );
+  }
+  return (
+    `scale=w=${w}:h=${h}:force_original_aspect_ratio=decrease:flags=bilinear,` +
+    `pad=${w}:${h}:(${w}-iw)/2:(${h}-ih)/2`
+  );
+}
+
+// Rate control + duration args (everything but filters and audio)
+export function encodeArgs(preset) {
+  const args = [];
+  if (preset.videoBitrate) {
+    const rate = String(preset.videoBitrate);
+    args.push("-b:v", rate, "-maxrate", rate, "-bufsize", doubleRate(rate));
+  } else {
+    args.push("-crf", String(preset.crf));
+  }
+  if (preset.maxDuration) args.push("-t", String(preset.maxDuration));
+  return args;
+}
+
+// "6M" -> "12M" (VBV buffer of two seconds)
+function doubleRate(rate) {
+  const m = rate.match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  return `${Number(m[1]) * 2}${m[2]}`;
+}
+
+// -> [primary, fallback | null] audio args
+export function audioArgs(preset) {
+  const aac = ["-c:a", "aac", "-b:a", preset.audioBitrate];
+  if (preset.audioCodec === "none") return [["-an"], null];
+  if (preset.audioCodec === "aac") return [aac, null];
+  // copy is fast; weird inputs fall back to AAC
+  return [["-c:a", "copy"], aac];
+}
@@ -0,0 +1,135 @@
+import path from "path";
+import fs from "fs/promises";
+import { spawn } from "child_process";
+
+/**
+ * ffprobe wrapper + input validation
+ *
+ * probeMedia() -> {
+ *   duration, width, height, fps, video_codec, audio_codec, has_audio,
+ *   format, bit_rate, size
+ * }
+ *
+ * checkInput() turns a probe result into a clip error code:
+ *   not_a_video, no_audio, too_long, too_short, resolution_too_large,
+ *   resolution_too_small, unsupported_codec, file_too_large
+ * Unreadable/corrupt files fail in probeMedia with `unreadable_media`.
+ */
+const STDERR_TAIL = 800;
+
+// "30000/1001" -> 29.97
+function parseRate(value) {
+  const [n, d] = String(value || "").split("/").map(Number);
+  if (!n || !d) return null;
+  return Math.round((n / d) * 1000) / 1000;
+}
+
+function numberOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+export async function probeMedia(ffprobePath, filePath, { signal } = {}) {
+  const stat = await fs.stat(filePath);
+
+  const output = await new Promise((resolve, reject) => {
+    const args = [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ];
+    const probe = spawn(ffprobePath, args, { signal, killSignal: "SIGKILL" });
+    let stdout = "";
+    let stderr = "";
+    probe.stdout.on("data", (d) => (stdout += d));
+    probe.stderr.on("data", (d) => (stderr += d));
+    probe.on("error", reject);
+    probe.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+      const err = new Error("unreadable_media");
+      // don't leak temp paths to API clients
+      const tail = stderr.replaceAll(filePath, path.basename(filePath)).trim();
+      err.details = { ffprobe_exit: code, stderr: tail.slice(-STDERR_TAIL) };
+      reject(err);
+    });
+  });
+
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch {
+    throw new Error("unreadable_media");
+  }
+
+  const streams = data.streams || [];
+  // cover art in audio files shows up as a one-frame "video" stream
+  const video = streams.find(
+    (s) => s.codec_type === "video" && !s.disposition?.attached_pic
+  );
+  const audio = streams.find((s) => s.codec_type === "audio");
+
+  return {
+    duration: numberOrNull(data.format?.duration ?? video?.duration),
+    width: video?.width ?? null,
+    height: video?.height ?? null,
+    fps: video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+    video_codec: video?.codec_name ?? null,
+    audio_codec: audio?.codec_name ?? null,
+    has_audio: !!audio,
+    format: data.format?.format_name ?? null,
+    bit_rate: numberOrNull(data.format?.bit_rate),
+    size: stat.size,
+  };
+}
+
+/**
+ * Limits (all optional): maxDuration / minDuration (s), maxWidth / maxHeight
+ * (px, compared with the longer/shorter side so portrait and landscape behave
+ * the same), minShortSide (px), videoCodecs (list), maxBytes, requireAudio.
+ * -> null when the input is fine, else an Error with a code + details
+ */
+export function checkInput(meta, limits = {}) {
+  const fail = (code, details) => {
+    const err = new Error(code);
+    err.details = details;
+    return err;
+  };
+
+  if (!meta.video_codec) return fail("not_a_video", { format: meta.format });
+  if (limits.requireAudio && !meta.has_audio) return fail("no_audio", {});
+  if (limits.maxBytes && meta.size > limits.maxBytes)
+    return fail("file_too_large", { size: meta.size, limit: limits.maxBytes });
+  if (limits.maxDuration && meta.duration > limits.maxDuration)
+    return fail("too_long", { duration: meta.duration, limit: limits.maxDuration });
+  if (limits.minDuration && meta.duration != null && meta.duration < limits.minDuration)
+    return fail("too_short", { duration: meta.duration, limit: limits.minDuration });
+
+  const long = Math.max(meta.width || 0, meta.height || 0);
+  const short = Math.min(meta.width || 0, meta.height || 0);
+  const maxLong = Math.max(limits.maxWidth || 0, limits.maxHeight || 0);
+  const maxShort = Math.min(limits.maxWidth || Infinity, limits.maxHeight || Infinity);
+  if ((maxLong && long > maxLong) || (maxShort !== Infinity && short > maxShort))
+    return fail("resolution_too_large", {
+      width: meta.width,
+      height: meta.height,
+      limit: `${limits.maxWidth}x${limits.maxHeight}`,
+    });
+  if (short < (limits.minShortSide || 0))
+    return fail("resolution_too_small", {
+      width: meta.width,
+      height: meta.height,
+      limit: limits.minShortSide,
+    });
+
+  if (limits.videoCodecs?.length && !limits.videoCodecs.includes(meta.video_codec))
+    return fail("unsupported_codec", {
+      codec: meta.video_codec,
+      allowed: limits.videoCodecs,
+    });
+
+  return null;
+}
@@ -0,0 +1,100 @@
+/**
+ * Retry policy for storage transfers
+ *
+ * Retryable: network errors (resets, refused connections, DNS hiccups),
+ * timeouts (our `*_timeout` errors), HTTP 408 / 429 / 5xx. Everything else
+ * (404, auth errors, bad paths, a cancelled batch) fails right away.
+ *
+ * Delays grow exponentially with "equal jitter": half the step is fixed, the
+ * other half random, so parallel clips don't retry in lockstep.
+ */
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+// HTTP status behind an error from fetch / supabase-js / the AWS SDK, if any
+export function statusOf(e) {
+  const status = Number(
+    e?.status ?? e?.statusCode ?? e?.$metadata?.httpStatusCode ?? e?.originalError?.status
+  );
+  return Number.isInteger(status) && status >= 100 ? status : null;
+}
+
+export function isRetryable(e) {
+  if (!e) return false;
+  if (typeof e.retryable === "boolean") return e.retryable;
+  if (e.name === "AbortError") return false;
+
+  const status = statusOf(e);
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  const code = e.code || e.cause?.code;
+  if (code && RETRYABLE_CODES.has(code)) return true;
+  if (e.name === "TimeoutError" || /_timeout$/.test(String(e.message))) return true;
+  // undici: TypeError("fetch failed") with the socket error as cause
+  if (e.message === "fetch failed") return true;
+  return !!e.$retryable; // AWS SDK
+}
+
+export function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `fn(attempt)` until it succeeds, fails permanently or attempts run out.
+ * -> { value, attempts }. The final error gets `attempts` set.
+ * `onRetry({ error, attempt, delayMs })` runs before each wait.
+ */
+export async function withRetry(
+  fn,
+  {
+    maxAttempts = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    signal,
+    retryable = isRetryable,
+    onRetry,
+  } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt };
+    } catch (e) {
+      const last = attempt >= maxAttempts || signal?.aborted || !retryable(e);
+      if (last) {
+        if (e && typeof e === "object") e.attempts = attempt;
+        throw e;
+      }
+      const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry?.({ error: e, attempt, delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Posting schedule: one publish time per clip, spread over the calendar
+ *
+ *   "schedule": {
+ *     "start": "2026-11-02",           first day (or "2026-11-02T14:00": nothing
+ *                                      earlier that day), not before today;
+ *                                      default tomorrow
+ *     "perDay": 3,                     posts per day, 1–48
+ *     "windows": ["09:00-12:00", "18:00-21:00"],   local posting hours
+ *     "timezone": "Europe/Stockholm",  IANA name, default UTC
+ *     "jitterMinutes": 10              random offset per post, 0–120
+ *   }
+ *
+ * The day's posts are spaced evenly over the windows' combined length; the
+ * jitter never moves a post out of its share of that time, so the order of
+ * the posts holds. Offsets come from a PRNG seeded with the batch id, so the
+ * same batch always gets the same times.
+ */
+const SCHEDULE_KEYS = ["start", "perDay", "windows", "timezone", "jitterMinutes"];
+const MAX_PER_DAY = 48;
+const MAX_JITTER_MINUTES = 120;
+const DEFAULT_WINDOWS = ["09:00-21:00"];
+const START_RE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/;
+const WINDOW_RE = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "09:00-12:00" -> [540, 720] (minutes of the day), "…-24:00" allowed, else null
+function parseWindow(w) {
+  const m = WINDOW_RE.exec(String(w).trim());
+  if (!m) return null;
+  const [from, to] = [+m[1] * 60 + +m[2], +m[3] * 60 + +m[4]];
+  if (+m[2] > 59 || +m[4] > 59 || from >= to || to > 24 * 60) return null;
+  return [from, to];
+}
+
+function windowList(value) {
+  if (value == null) return DEFAULT_WINDOWS;
+  return Array.isArray(value) ? value : String(value).split(",");
+}
+
+// -> errors[] (empty = fine); `false` / null mean no schedule. `start` may not
+// be before today (in the schedule's timezone, relative to `now`)
+export function validateSchedule(s, label = "schedule", now = Date.now()) {
+  if (s == null || s === false) return [];
+  if (typeof s !== "object" || Array.isArray(s)) return [`${label}_must_be_an_object`];
+
+  const errors = [];
+  for (const key of Object.keys(s)) {
+    if (!SCHEDULE_KEYS.includes(key)) errors.push(`${label}.${key}_is_not_supported`);
+  }
+
+  if (s.start != null) {
+    const m = START_RE.exec(String(s.start));
+    const day = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    if (!m || day.getUTCDate() !== +m[3] || (m[4] && (+m[4] > 23 || +m[5] > 59)))
+      errors.push(`${label}.start_must_be_YYYY-MM-DD_or_YYYY-MM-DDTHH:mm`);
+    else if (s.timezone == null || isTimeZone(String(s.timezone))) {
+      const today = localParts(now, s.timezone ? String(s.timezone) : "UTC");
+      if (`${m[1]}-${m[2]}-${m[3]}` < `${today.year}-${pad(today.month)}-${pad(today.day)}`)
+        errors.push(`${label}.start_must_not_be_in_the_past`);
+    }
+  }
+  if (s.perDay != null) {
+    const n = Number(s.perDay);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PER_DAY)
+      errors.push(`${label}.perDay_must_be_an_integer_between_1_and_${MAX_PER_DAY}`);
+  }
+
+  const windows = windowList(s.windows).map(parseWindow);
+  if (!windows.length || windows.some((w) => !w)) {
+    errors.push(`${label}.windows_must_be_a_list_like_09:00-12:00`);
+  } else {
+    const sorted = [...windows].sort((a, b) => a[0] - b[0]);
+    if (sorted.some((w, n) => n > 0 && w[0] < sorted[n - 1][1]))
+      errors.push(`${label}.windows_must_not_overlap`);
+  }
+
+  if (s.timezone != null && !isTimeZone(String(s.timezone)))
+    errors.push(`${label}.timezone_is_unknown`);
+  if (s.jitterMinutes != null) {
+    const j = Number(s.jitterMinutes);
+    if (!(j >= 0 && j <= MAX_JITTER_MINUTES))
+      errors.push(`${label}.jitterMinutes_must_be_between_0_and_${MAX_JITTER_MINUTES}`);
+  }
+  return errors;
+}
+
+/**
+ * Validated schedule -> settings with defaults filled in (start = tomorrow in
+ * the schedule's timezone, relative to `now`). null when there is none.
+ */
+export function normalizeSchedule(s, now = Date.now()) {
+  if (!s) return null;
+  const timezone = s.timezone ? String(s.timezone) : "UTC";
+  let start = s.start ? String(s.start) : null;
+  if (!start) {
+    const today = localParts(now, timezone);
+    start = new Date(Date.UTC(today.year, today.month - 1, today.day + 1))
+      .toISOString()
+      .slice(0, 10);
+  }
+  return {
+    start,
+    perDay: Number(s.perDay || 1),
+    windows: windowList(s.windows)
+      .map((w) => String(w).trim())
+      .sort((a, b) => parseWindow(a)[0] - parseWindow(b)[0]),
+    timezone,
+    jitterMinutes: Math.round(Number(s.jitterMinutes || 0)),
+  };
+}
+
+/**
+ * Publish times for clips `indices` (in that order), one slot each:
+ * -> { ...schedule, posts: [{ idx, publish_at, date, time }] }
+ * `publish_at` is UTC (ISO), `date` / `time` are local to the timezone
+ * (what the scheduler CSVs expect). The first `taken` slots are skipped (a
+ * retry's clips go after the ones already scheduled).
+ */
+export function planSchedule(schedule, indices, seed = "", taken = 0) {
+  const windows = schedule.windows.map(parseWindow);
+  const total = windows.reduce((sum, [from, to]) => sum + (to - from), 0);
+  const share = total / schedule.perDay; // window minutes per post
+  const random = prng(seed);
+
+  const m = START_RE.exec(schedule.start);
+  const [year, month, day] = [+m[1], +m[2], +m[3]];
+  const notBefore = m[4] ? +m[4] * 60 + +m[5] : 0; // first day only
+
+  // n-th minute of the combined windows -> minute of the day
+  const minuteOfDay = (offset) => {
+    for (const [from, to] of windows) {
+      if (offset < to - from) return from + offset;
+      offset -= to - from;
+    }
+    return windows[windows.length - 1][1] - 1;
+  };
+
+  const slots = taken + indices.length;
+  const posts = [];
+  let slot = 0;
+  for (let d = 0; slot < slots; d++) {
+    for (let k = 0; k < schedule.perDay && slot < slots; k++) {
+      // center of the post's share, +- jitter, kept inside the share
+      const jitter = (random() * 2 - 1) * schedule.jitterMinutes;
+      const offset = Math.min(
+        Math.ceil((k + 1) * share) - 1,
+        Math.max(Math.floor(k * share), Math.round((k + 0.5) * share + jitter))
+      );
+      const minute = minuteOfDay(offset);
+      if (d === 0 && minute < notBefore) continue;
+      if (slot++ < taken) continue;
+
+      const at = zonedTime(year, month, day + d, minute, schedule.timezone);
+      const local = localParts(at, schedule.timezone);
+      posts.push({
+        idx: indices[posts.length],
+        publish_at: new Date(at).toISOString(),
+        date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+        time: `${pad(local.hour)}:${pad(local.minute)}`,
+      });
+    }
+  }
+  return { ...schedule, posts };
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Wall-clock fields of the instant `ms` in `timeZone`
+function localParts(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(ms);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+  };
+}
+
+// Local wall-clock time (day may overflow the month) in `timeZone` -> UTC ms.
+// Offsets are looked up twice so days with a DST change land right.
+function zonedTime(year, month, day, minuteOfDay, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const offsetAt = (ms) => {
+    const p = localParts(ms, timeZone);
+    const wallOf = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return wallOf - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+// mulberry32 seeded with a string hash: deterministic offsets per batch
+function prng(seed) {
+  let h = 1779033703;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
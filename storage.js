@@ -0,0 +1,432 @@
+import path from "path";
+import fs from "fs/promises";
+import fssync from "fs";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { createWriteStream } from "fs";
+import { backoffDelay, isRetryable, sleep, statusOf } from "./retry.js";
+
+/**
+ * Storage drivers (STORAGE_DRIVER)
+ *
+ * Every driver exposes the same bucket-based interface:
+ *  - download(bucket, objectPath, destPath, { signal })                 stream object -> local file
+ *  - uploadFile(bucket, objectPath, filePath, contentType, { signal })  stream local file -> object, returns public URL
+ *  - uploadBuffer(bucket, objectPath, buffer, contentType)  small objects (CSV, JSON), returns public URL
+ *  - getPublicUrl(bucket, objectPath)
+ *  - list(bucket, prefix)            every object under `prefix/` -> [{ path, size }]
+ *  - remove(bucket, objectPaths)     delete objects (missing ones are ignored)
+ *
+ * `signal` (AbortSignal, optional) stops a transfer on timeout / cancel.
+ * Errors carry the HTTP `status` where there is one, so callers can tell
+ * transient failures from permanent ones (see retry.js).
+ *
+ * Drivers:
+ *  - "supabase" Supabase Storage (production); files from `resumableMinBytes`
+ *               up go through the resumable (TUS) endpoint in 6 MB chunks
+ *  - "s3"       any S3-compatible store (AWS, R2, local MinIO); large bodies
+ *               use multipart uploads (parts are retried by the SDK)
+ *  - "local"    plain directory, one sub-directory per bucket, served by Express
+ */
+export async function createStorage({ driver, supabase, s3, local } = {}) {
+  if (driver === "supabase") return createSupabaseStorage(supabase);
+  if (driver === "s3") return createS3Storage(s3);
+  if (driver === "local") return createLocalStorage(local);
+  throw new Error(`unknown_storage_driver driver=${driver}`);
+}
+
+function httpError(message, resp, body = "") {
+  const err = new Error(`${message} status=${resp.status} ${body}`.trim());
+  err.status = resp.status;
+  return err;
+}
+
+function encodeObjectPath(objectPath) {
+  return String(objectPath).split("/").map(encodeURIComponent).join("/");
+}
+
+// ---- Supabase Storage
+// Supabase only accepts 6 MB chunks on its resumable endpoint
+const TUS_CHUNK_BYTES = 6 * 1024 * 1024;
+const TUS_CHUNK_ATTEMPTS = 5;
+const SUPABASE_LIST_PAGE = 1000;
+const SUPABASE_REMOVE_BATCH = 1000;
+
+function createSupabaseStorage({
+  client,
+  url,
+  serviceKey,
+  resumableMinBytes = 6 * 1024 * 1024,
+} = {}) {
+  if (!client || !url || !serviceKey) throw new Error("supabase_not_configured");
+
+  function getPublicUrl(bucket, objectPath) {
+    const { data } = client.storage.from(bucket).getPublicUrl(objectPath);
+    return data.publicUrl;
+  }
+
+  return {
+    driver: "supabase",
+    getPublicUrl,
+
+    // Straight from the REST endpoint (client.storage's download buffers the
+    // whole object as a Blob and can't be aborted): streamed to disk
+    async download(bucket, objectPath, destPath, { signal } = {}) {
+      const endpoint = `${url}/storage/v1/object/authenticated/${bucket}/${encodeObjectPath(objectPath)}`;
+      const resp = await fetch(endpoint, {
+        headers: { apikey: serviceKey, authorization: `Bearer ${serviceKey}` },
+        signal,
+      });
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => "");
+        const err = httpError("supabase_download_failed", resp, txt);
+        // a missing object comes back as 400 with a "not_found" body
+        if (/not[_ ]?found/i.test(txt)) err.status = 404;
+        throw err;
+      }
+      if (!resp.body) throw new Error("supabase_download_no_data");
+      await pipeline(Readable.fromWeb(resp.body), createWriteStream(destPath), { signal });
+    },
+
+    async uploadBuffer(bucket, objectPath, buffer, contentType) {
+      const { error } = await client.storage
+        .from(bucket)
+        .upload(objectPath, buffer, { contentType, upsert: true });
+
+      if (error) throw error;
+      return getPublicUrl(bucket, objectPath);
+    },
+
+    // list() is one folder level per call: folders come back without an id
+    async list(bucket, prefix) {
+      const objects = [];
+      const walk = async (dir) => {
+        for (let offset = 0; ; offset += SUPABASE_LIST_PAGE) {
+          const { data, error } = await client.storage
+            .from(bucket)
+            .list(dir, { limit: SUPABASE_LIST_PAGE, offset });
+          if (error) throw error;
+          for (const entry of data || []) {
+            const entryPath = `${dir}/${entry.name}`;
+            if (entry.id == null) await walk(entryPath);
+            else objects.push({ path: entryPath, size: entry.metadata?.size ?? 0 });
+          }
+          if (!data || data.length < SUPABASE_LIST_PAGE) return;
+        }
+      };
+      await walk(String(prefix).replace(/\/$/, ""));
+      return objects;
+    },
+
+    async remove(bucket, objectPaths) {
+      for (let i = 0; i < objectPaths.length; i += SUPABASE_REMOVE_BATCH) {
+        const { error } = await client.storage
+          .from(bucket)
+          .remove(objectPaths.slice(i, i + SUPABASE_REMOVE_BATCH));
+        if (error) throw error;
+      }
+    },
+
+    // Stream upload (avoids RAM spikes from fs.readFile on big mp4s)
+    async uploadFile(bucket, objectPath, filePath, contentType, { signal } = {}) {
+      const endpoint = `${url}/storage/v1/object/${bucket}/${encodeObjectPath(objectPath)}`;
+      const stat = await fs.stat(filePath);
+      if (resumableMinBytes && stat.size >= resumableMinBytes) {
+        await resumableUpload({ bucket, objectPath, filePath, contentType, size: stat.size, signal });
+        return getPublicUrl(bucket, objectPath);
+      }
+
+      const resp = await fetch(endpoint, {
+        method: "PUT",
+        headers: {
+          apikey: serviceKey,
+          authorization: `Bearer ${serviceKey}`,
+          "content-type": contentType,
+          "content-length": String(stat.size),
+          "x-upsert": "true",
+        },
+        // Node 18+ (undici) requires duplex when streaming request bodies
+        duplex: "half",
+        body: fssync.createReadStream(filePath),
+        signal,
+      });
+
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => "");
+        throw httpError("supabase_stream_upload_failed", resp, txt);
+      }
+
+      return getPublicUrl(bucket, objectPath);
+    },
+  };
+
+  /**
+   * TUS upload: create the upload, then PATCH one chunk at a time. A failed
+   * chunk doesn't restart the file: we ask the server (HEAD) how far it got
+   * and continue from that offset.
+   */
+  async function resumableUpload({ bucket, objectPath, filePath, contentType, size, signal }) {
+    const endpoint = `${url}/storage/v1/upload/resumable`;
+    const headers = {
+      apikey: serviceKey,
+      authorization: `Bearer ${serviceKey}`,
+      "tus-resumable": "1.0.0",
+    };
+    const metadata = { bucketName: bucket, objectName: objectPath, contentType, cacheControl: "3600" };
+
+    const created = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        ...headers,
+        "upload-length": String(size),
+        "upload-metadata": Object.entries(metadata)
+          .map(([k, v]) => `${k} ${Buffer.from(v).toString("base64")}`)
+          .join(","),
+        "x-upsert": "true",
+      },
+      signal,
+    });
+    if (created.status !== 201) {
+      const txt = await created.text().catch(() => "");
+      throw httpError("supabase_resumable_create_failed", created, txt);
+    }
+    // without a Location every PATCH would go to the create endpoint itself
+    const locationHeader = created.headers.get("location");
+    if (!locationHeader) throw new Error("supabase_resumable_no_location");
+    const location = new URL(locationHeader, endpoint).toString();
+
+    const file = await fs.open(filePath, "r");
+    try {
+      let offset = 0;
+      let failures = 0;
+      while (offset < size) {
+        const chunk = Buffer.alloc(Math.min(TUS_CHUNK_BYTES, size - offset));
+        await file.read(chunk, 0, chunk.length, offset);
+        try {
+          const resp = await fetch(location, {
+            method: "PATCH",
+            headers: {
+              ...headers,
+              "upload-offset": String(offset),
+              "content-type": "application/offset+octet-stream",
+            },
+            body: chunk,
+            signal,
+          });
+          await resp.arrayBuffer().catch(() => {});
+          if (resp.status !== 204) throw httpError("supabase_resumable_chunk_failed", resp);
+          offset = Number(resp.headers.get("upload-offset"));
+          failures = 0;
+        } catch (e) {
+          // 409 = offset mismatch (e.g. the chunk landed but the answer got lost)
+          const resumable = isRetryable(e) || statusOf(e) === 409;
+          failures += 1;
+          if (signal?.aborted || !resumable || failures >= TUS_CHUNK_ATTEMPTS) throw e;
+          await sleep(backoffDelay(failures), signal);
+
+          const head = await fetch(location, { method: "HEAD", headers, signal });
+          if (!head.ok) throw httpError("supabase_resumable_head_failed", head);
+          offset = Number(head.headers.get("upload-offset"));
+        }
+        if (!Number.isFinite(offset)) throw new Error("supabase_resumable_bad_offset");
+      }
+    } finally {
+      await file.close();
+    }
+  }
+}
+
+// ---- S3-compatible (AWS S3, Cloudflare R2, MinIO, ...)
+async function createS3Storage({
+  endpoint,
+  region = "us-east-1",
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicBaseUrl,
+} = {}) {
+  const { S3Client, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } =
+    await import("@aws-sdk/client-s3");
+  const { Upload } = await import("@aws-sdk/lib-storage");
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  function getPublicUrl(bucket, objectPath) {
+    const key = encodeObjectPath(objectPath);
+    if (publicBaseUrl) return `${publicBaseUrl.replace(/\/$/, "")}/${bucket}/${key}`;
+    if (endpoint && forcePathStyle) return `${endpoint.replace(/\/$/, "")}/${bucket}/${key}`;
+    if (endpoint) {
+      const u = new URL(endpoint);
+      return `${u.protocol}//${bucket}.${u.host}/${key}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  }
+
+  async function upload(bucket, objectPath, body, contentType, signal) {
+    signal?.throwIfAborted();
+    // lib-storage switches to multipart for large bodies, streaming part by part
+    const task = new Upload({
+      client,
+      params: { Bucket: bucket, Key: objectPath, Body: body, ContentType: contentType },
+    });
+    const onAbort = () => void task.abort().catch(() => {});
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      await task.done();
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+    return getPublicUrl(bucket, objectPath);
+  }
+
+  return {
+    driver: "s3",
+    getPublicUrl,
+
+    async download(bucket, objectPath, destPath, { signal } = {}) {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: objectPath }),
+        { abortSignal: signal }
+      );
+      if (!Body) throw new Error("s3_download_no_data");
+      await pipeline(Body, createWriteStream(destPath), { signal });
+    },
+
+    uploadBuffer(bucket, objectPath, buffer, contentType) {
+      return upload(bucket, objectPath, buffer, contentType);
+    },
+
+    uploadFile(bucket, objectPath, filePath, contentType, { signal } = {}) {
+      return upload(
+        bucket,
+        objectPath,
+        fssync.createReadStream(filePath),
+        contentType,
+        signal
+      );
+    },
+
+    async list(bucket, prefix) {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: `${String(prefix).replace(/\/$/, "")}/`,
+            ContinuationToken,
+          })
+        );
+        for (const o of page.Contents || []) objects.push({ path: o.Key, size: o.Size ?? 0 });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+
+    // DeleteObjects takes up to 1000 keys
+    async remove(bucket, objectPaths) {
+      for (let i = 0; i < objectPaths.length; i += 1000) {
+        const { Errors } = await client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: {
+              Objects: objectPaths.slice(i, i + 1000).map((Key) => ({ Key })),
+              Quiet: true,
+            },
+          })
+        );
+        if (Errors?.length) {
+          throw new Error(`s3_delete_failed ${Errors[0].Key}: ${Errors[0].Code}`);
+        }
+      }
+    },
+  };
+}
+
+// ---- Local directory (offline / dev). Objects live at <root>/<bucket>/<objectPath>.
+function createLocalStorage({ root, publicBaseUrl } = {}) {
+  if (!root) throw new Error("local_storage_root_missing");
+  const rootDir = path.resolve(root);
+
+  function bucketPath(bucket) {
+    return path.join(rootDir, bucket);
+  }
+
+  // Never let an object path escape its bucket directory
+  function objectFile(bucket, objectPath) {
+    const dir = bucketPath(bucket);
+    const file = path.resolve(dir, String(objectPath));
+    if (!file.startsWith(dir + path.sep)) throw new Error("invalid_object_path");
+    return file;
+  }
+
+  function getPublicUrl(bucket, objectPath) {
+    return `${publicBaseUrl.replace(/\/$/, "")}/${bucket}/${encodeObjectPath(objectPath)}`;
+  }
+
+  return {
+    driver: "local",
+    bucketPath,
+    getPublicUrl,
+
+    async download(bucket, objectPath, destPath, { signal } = {}) {
+      await pipeline(
+        fssync.createReadStream(objectFile(bucket, objectPath)),
+        createWriteStream(destPath),
+        { signal }
+      );
+    },
+
+    async uploadBuffer(bucket, objectPath, buffer, contentType) {
+      const file = objectFile(bucket, objectPath);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return getPublicUrl(bucket, objectPath);
+    },
+
+    async uploadFile(bucket, objectPath, filePath, contentType, { signal } = {}) {
+      const file = objectFile(bucket, objectPath);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await pipeline(fssync.createReadStream(filePath), createWriteStream(file), {
+        signal,
+      });
+      return getPublicUrl(bucket, objectPath);
+    },
+
+    async list(bucket, prefix) {
+      const dir = objectFile(bucket, String(prefix).replace(/\/$/, ""));
+      const entries = await fs
+        .readdir(dir, { recursive: true, withFileTypes: true })
+        .catch((e) => (e.code === "ENOENT" ? [] : Promise.reject(e)));
+      const objects = [];
+      for (const entry of entries.filter((e) => e.isFile())) {
+        const file = path.join(entry.parentPath ?? entry.path, entry.name);
+        const { size } = await fs.stat(file);
+        const objectPath = path.relative(bucketPath(bucket), file).split(path.sep).join("/");
+        objects.push({ path: objectPath, size });
+      }
+      return objects;
+    },
+
+    // Also drops the directories left empty (batches/<id>/ and its sub-folders)
+    async remove(bucket, objectPaths) {
+      const inBucket = bucketPath(bucket) + path.sep;
+      const dirs = new Set();
+      for (const objectPath of objectPaths) {
+        const file = objectFile(bucket, objectPath);
+        await fs.rm(file, { force: true });
+        for (let d = path.dirname(file); d.startsWith(inBucket); d = path.dirname(d)) dirs.add(d);
+      }
+      // deepest first; rmdir fails (and is ignored) on directories still in use
+      for (const d of [...dirs].sort((a, b) => b.length - a.length)) {
+        await fs.rmdir(d).catch(() => {});
+      }
+    },
+  };
+}
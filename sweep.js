@@ -0,0 +1,52 @@
+import path from "path";
+import fs from "fs/promises";
+import { logger } from "./logger.js";
+
+/**
+ * Orphaned temp files
+ *
+ * Upload files that never became a batch (rejected or aborted requests),
+ * batch upload dirs and per-batch temp dirs whose job is gone (crash,
+ * restart) pile up in the temp directories. `sweepOrphans` removes the
+ * entries of `dir` that `match` and that no live job owns (`isOwned`).
+ * Entries modified within `minAgeMs` are left alone.
+ * -> { removed: [names], bytes }
+ */
+export async function sweepOrphans({
+  dir,
+  match = () => true,
+  isOwned = () => false,
+  minAgeMs = 0,
+}) {
+  const removed = [];
+  let bytes = 0;
+  const entries = await fs.readdir(dir).catch(() => []);
+
+  for (const name of entries) {
+    if (!match(name) || isOwned(name)) continue;
+    const entryPath = path.join(dir, name);
+    try {
+      const stat = await fs.stat(entryPath);
+      if (Date.now() - stat.mtimeMs < minAgeMs) continue;
+      const size = stat.isDirectory() ? await dirSize(entryPath) : stat.size;
+      await fs.rm(entryPath, { recursive: true, force: true });
+      removed.push(name);
+      bytes += size;
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        logger.warn("remove failed", { component: "sweep", path: entryPath, err: e });
+      }
+    }
+  }
+  return { removed, bytes };
+}
+
+async function dirSize(dir) {
+  let total = 0;
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  for (const entry of entries.filter((e) => e.isFile())) {
+    const file = path.join(entry.parentPath ?? entry.path, entry.name);
+    total += (await fs.stat(file).catch(() => ({ size: 0 }))).size;
+  }
+  return total;
+}
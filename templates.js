@@ -0,0 +1,138 @@
+/**
+ * Caption templates
+ *
+ *   templates: ["{opener} {vibe} {closer}"]
+ *   slots:     { opener: ["POV:", "Reminder:"], vibe: [...], closer: ["🧊", ""] }
+ *   variables: { brand: "EuropePUSH" }         (fixed values, e.g. "{brand}")
+ *
+ * Every template expands to the cartesian product of the slots it uses.
+ * `captionCandidates` walks fixed captions + all expansions in random order
+ * without repeating a string, so callers can keep pulling until they have
+ * enough unique captions (or the pool runs dry).
+ */
+const PLACEHOLDER_RE = /\{([a-zA-Z0-9_]+)\}/g;
+
+// Small pools are expanded up front and shuffled; bigger ones are sampled
+const ENUMERATE_LIMIT = 20000;
+// Sampling gives up after this many draws in a row that were already seen
+const MAX_SAMPLE_MISSES = 500;
+
+export function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+export function placeholders(template) {
+  return [...new Set([...String(template).matchAll(PLACEHOLDER_RE)].map((m) => m[1]))];
+}
+
+// Slots that actually vary in this template (variables are fixed)
+function templateSlots(template, slots, variables) {
+  return placeholders(template).filter(
+    (name) => !(name in variables) && slots[name]?.length
+  );
+}
+
+function combinationCount(template, slots, variables) {
+  return templateSlots(template, slots, variables).reduce(
+    (n, name) => n * slots[name].length,
+    1
+  );
+}
+
+function render(template, values) {
+  return String(template)
+    .replace(PLACEHOLDER_RE, (m, name) => (name in values ? String(values[name]) : m))
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,.!?…])/g, "$1")
+    .trim();
+}
+
+function* expandAll(template, slots, variables) {
+  const names = templateSlots(template, slots, variables);
+  const idx = names.map(() => 0);
+
+  while (true) {
+    const values = { ...variables };
+    names.forEach((name, k) => {
+      values[name] = slots[name][idx[k]];
+    });
+    yield render(template, values);
+
+    // odometer increment
+    let k = names.length - 1;
+    while (k >= 0 && ++idx[k] >= slots[names[k]].length) idx[k--] = 0;
+    if (k < 0) return;
+  }
+}
+
+function randomExpansion(template, slots, variables) {
+  const values = { ...variables };
+  for (const name of templateSlots(template, slots, variables)) {
+    const list = slots[name];
+    values[name] = list[Math.floor(Math.random() * list.length)];
+  }
+  return render(template, values);
+}
+
+// Upper bound of distinct captions (different expansions can still collide)
+export function poolSize({ captions = [], templates = [], slots = {}, variables = {} }) {
+  return templates.reduce(
+    (n, t) => n + combinationCount(t, slots, variables),
+    captions.length
+  );
+}
+
+/**
+ * Generator of distinct captions in random order. Iterate it with `.next()`
+ * (a for-of `break` would close it).
+ */
+export function* captionCandidates({
+  captions = [],
+  templates = [],
+  slots = {},
+  variables = {},
+}) {
+  const seen = new Set();
+  const total = poolSize({ captions, templates, slots, variables });
+
+  if (total <= ENUMERATE_LIMIT) {
+    const all = [...captions];
+    for (const t of templates) all.push(...expandAll(t, slots, variables));
+    for (const c of shuffle(all)) {
+      if (!c || seen.has(c)) continue;
+      seen.add(c);
+      yield c;
+    }
+    return;
+  }
+
+  // Huge pool: draw templates weighted by how many captions they can produce
+  const weights = [
+    captions.length,
+    ...templates.map((t) => combinationCount(t, slots, variables)),
+  ];
+  let misses = 0;
+  while (misses < MAX_SAMPLE_MISSES) {
+    let r = Math.random() * total;
+    let k = 0;
+    while (r >= weights[k] && k < weights.length - 1) r -= weights[k++];
+
+    const c =
+      k === 0
+        ? captions[Math.floor(Math.random() * captions.length)]
+        : randomExpansion(templates[k - 1], slots, variables);
+
+    if (!c || seen.has(c)) {
+      misses += 1;
+      continue;
+    }
+    misses = 0;
+    seen.add(c);
+    yield c;
+  }
+}
@@ -0,0 +1,161 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createAuth, createKeyGuard, parseApiKeys } from "../auth.js";
+
+const b64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function jwt(claims, secret = "jwt-secret", header = { alg: "HS256", typ: "JWT" }) {
+  const head = `${b64url(header)}.${b64url(claims)}`;
+  const sig = crypto.createHmac("sha256", secret).update(head).digest("base64url");
+  return `${head}.${sig}`;
+}
+
+// runs `middleware` on minimal Express stand-ins -> { status, body, next, auth }
+function call(middleware, { headers = {}, query = {} } = {}) {
+  const req = {
+    query,
+    get: (name) => headers[name.toLowerCase()],
+  };
+  const out = { status: 200, body: null, next: false };
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(body) {
+      out.body = body;
+      return this;
+    },
+  };
+  return Promise.resolve(middleware(req, res, () => (out.next = true))).then(() => ({
+    ...out,
+    auth: req.auth,
+  }));
+}
+
+test("parseApiKeys maps hashed keys to tenants", () => {
+  const keys = parseApiKeys(" acme:k1 , beta:k2,");
+  assert.equal(keys.size, 2);
+  assert.ok(![...keys.keys()].includes("k1")); // never stored in clear
+  assert.deepEqual([...keys.values()], ["acme", "beta"]);
+  assert.equal(parseApiKeys("").size, 0);
+});
+
+test("parseApiKeys rejects malformed entries without echoing the key", () => {
+  assert.throws(() => parseApiKeys("no-separator"), /invalid API_KEYS entry/);
+  assert.throws(() => parseApiKeys(":key"), /invalid API_KEYS entry/);
+  assert.throws(() => parseApiKeys("bad tenant:key"), /invalid API_KEYS entry/);
+  assert.throws(() => parseApiKeys("acme:"), /invalid API_KEYS entry/);
+  assert.throws(
+    () => parseApiKeys("bad tenant:supersecretvalue"),
+    (e) => !e.message.includes("supersecretvalue")
+  );
+});
+
+test("authenticate accepts API keys and locally verified JWTs", async () => {
+  const auth = createAuth({
+    enabled: true,
+    apiKeys: parseApiKeys("acme:k1"),
+    jwtSecret: "jwt-secret",
+  });
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.deepEqual(await auth.authenticate("k1"), { tenant: "acme", via: "api_key" });
+  assert.equal(await auth.authenticate("k2"), null);
+  assert.deepEqual(await auth.authenticate(jwt({ sub: "user-1", exp: now + 60 })), {
+    tenant: "user-1",
+    via: "jwt",
+  });
+  assert.deepEqual(
+    await auth.authenticate(jwt({ sub: "user-1", app_metadata: { tenant_id: "acme" } })),
+    { tenant: "acme", via: "jwt" }
+  );
+});
+
+test("JWTs with a bad signature, another alg, or outside exp/nbf are refused", async () => {
+  const auth = createAuth({ enabled: true, jwtSecret: "jwt-secret" });
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(await auth.authenticate(jwt({ sub: "u" }, "other-secret")), null);
+  assert.equal(await auth.authenticate(jwt({ sub: "u" }, "jwt-secret", { alg: "none" })), null);
+  assert.equal(await auth.authenticate(jwt({ sub: "u", exp: now - 1 })), null);
+  assert.equal(await auth.authenticate(jwt({ sub: "u", nbf: now + 60 })), null);
+  assert.equal(await auth.authenticate("not.a.jwt"), null);
+});
+
+test("without a JWT secret tokens are checked with Supabase, and cached", async () => {
+  let calls = 0;
+  const supabase = {
+    auth: {
+      getUser: async (token) => {
+        calls += 1;
+        return token === "a.b.c"
+          ? { data: { user: { id: "user-9", app_metadata: {} } }, error: null }
+          : { data: null, error: new Error("invalid") };
+      },
+    },
+  };
+  const auth = createAuth({ enabled: true, supabase });
+
+  assert.deepEqual(await auth.authenticate("a.b.c"), { tenant: "user-9", via: "jwt" });
+  assert.deepEqual(await auth.authenticate("a.b.c"), { tenant: "user-9", via: "jwt" });
+  assert.equal(calls, 1);
+  assert.equal(await auth.authenticate("x.y.z"), null);
+});
+
+test("middleware: open when disabled, 401 / 403 / 503 when enabled", async () => {
+  const off = await call(createAuth({ enabled: false }).middleware);
+  assert.equal(off.next, true);
+  assert.deepEqual(off.auth, { tenant: null, via: "none" });
+
+  const auth = createAuth({
+    enabled: true,
+    apiKeys: parseApiKeys("acme:k1"),
+    jwtSecret: "jwt-secret",
+  });
+  const ok = await call(auth.middleware, { headers: { authorization: "Bearer k1" } });
+  assert.deepEqual([ok.next, ok.auth], [true, { tenant: "acme", via: "api_key" }]);
+
+  // EventSource can't set headers
+  const query = await call(auth.middleware, { query: { access_token: "k1" } });
+  assert.equal(query.next, true);
+
+  const missing = await call(auth.middleware);
+  assert.deepEqual([missing.status, missing.body.error], [401, "unauthorized"]);
+
+  const odd = await call(auth.middleware, {
+    headers: { "x-api-key": jwt({ sub: "not a tenant!" }) },
+  });
+  assert.deepEqual([odd.status, odd.body.error], [403, "invalid_tenant"]);
+
+  const broken = createAuth({
+    enabled: true,
+    supabase: {
+      auth: {
+        getUser: async () => {
+          throw new Error("network down");
+        },
+      },
+    },
+  });
+  const down = await call(broken.middleware, { headers: { authorization: "Bearer a.b.c" } });
+  assert.deepEqual([down.status, down.body.error], [503, "auth_unavailable"]);
+});
+
+test("key guard: closed without keys, 401 on a wrong key, admin auth on a match", async () => {
+  const closed = await call(createKeyGuard([undefined, ""]), {
+    headers: { authorization: "Bearer anything" },
+  });
+  assert.deepEqual([closed.status, closed.body.error, closed.next], [403, "admin_disabled", false]);
+
+  const guard = createKeyGuard(["admin-key", "metrics-token"]);
+  const wrong = await call(guard, { headers: { authorization: "Bearer admin-kez" } });
+  assert.deepEqual([wrong.status, wrong.next], [401, false]);
+
+  const right = await call(guard, { headers: { "x-api-key": "metrics-token" } });
+  assert.deepEqual([right.next, right.auth], [true, { tenant: null, via: "admin_key" }]);
+
+  assert.equal(guard.matches({ query: {}, get: () => "Bearer admin-key" }), true);
+  assert.equal(guard.matches({ query: {}, get: () => undefined }), false);
+});
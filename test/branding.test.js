@@ -0,0 +1,202 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import {
+  brandingAssetIds,
+  joinArgs,
+  mergeBranding,
+  overlayGraph,
+  validateBranding,
+  writeTextFiles,
+} from "../branding.js";
+
+const LOGO = "asset_AAAAAAAAAA";
+const INTRO = "asset_BBBBBBBBBB";
+const preset = { width: 1080, height: 1920, fit: "crop" };
+
+test("validateBranding: off is fine, every bad field is listed under the label", () => {
+  assert.deepEqual(validateBranding(null), []);
+  assert.deepEqual(validateBranding(false), []);
+  assert.deepEqual(validateBranding("logo"), ["branding_must_be_an_object"]);
+  assert.deepEqual(
+    validateBranding(
+      {
+        logo: { asset: "logo.png", position: "middle", opacity: 2, scale: 0.01, margin: 0.5 },
+        text: [
+          { text: " " },
+          { source: "title", size: 0.5, color: "rgb(1,2,3)", box: "yes" },
+          null,
+          { text: "4th" },
+        ],
+        outro: "nope",
+        sticker: {},
+      },
+      "theme.branding"
+    ),
+    [
+      "theme.branding.sticker_is_not_supported",
+      "theme.branding.logo.asset_must_be_an_asset_id",
+      "theme.branding.logo.position_must_be_one_of_top-left_top_top-right_center_bottom-left_bottom_bottom-right",
+      "theme.branding.logo.opacity_must_be_between_0_and_1",
+      "theme.branding.logo.scale_must_be_between_0.02_and_1",
+      "theme.branding.logo.margin_must_be_between_0_and_0.3",
+      "theme.branding.text_allows_at_most_3_entries",
+      "theme.branding.text[0].text_must_be_a_string_of_1_300_chars",
+      "theme.branding.text[1].source_must_be_one_of_static_caption",
+      "theme.branding.text[1].size_must_be_between_0.01_and_0.2",
+      "theme.branding.text[1].color_must_look_like_white_or_#ffcc00",
+      "theme.branding.text[1].box_must_be_a_boolean",
+      "theme.branding.text[2]_must_be_an_object",
+      "theme.branding.outro_must_be_an_asset_id",
+    ]
+  );
+  assert.deepEqual(
+    validateBranding({ logo: { asset: LOGO }, text: { source: "caption", color: "#ffcc00@0.5" } }),
+    []
+  );
+});
+
+test("mergeBranding: override wins per key, null drops a key, false turns it off", () => {
+  const theme = { logo: { asset: LOGO }, intro: INTRO, text: { text: " 18+ " } };
+
+  assert.deepEqual(mergeBranding(theme, { intro: null, text: null }), {
+    logo: { asset: LOGO, position: "top-right", opacity: 0.85, scale: 0.18, margin: 0.04 },
+  });
+  assert.equal(mergeBranding(theme, false), null);
+  assert.equal(mergeBranding(null, {}), null);
+  assert.equal(mergeBranding(theme, { logo: { asset: LOGO, opacity: 0.5 } }).logo.opacity, 0.5);
+  assert.deepEqual(mergeBranding(theme, { logo: null }).text, [
+    {
+      source: "static",
+      text: "18+",
+      position: "bottom",
+      size: 0.045,
+      margin: 0.06,
+      color: "white",
+      box: true,
+    },
+  ]);
+  assert.deepEqual(brandingAssetIds(mergeBranding(theme)), [LOGO, INTRO]);
+});
+
+test("overlayGraph: logo, then every text entry, last label renamed to [v]", () => {
+  const graph = overlayGraph({
+    preset,
+    base: "fps=30",
+    logo: { position: "top-right", opacity: 0.85, scale: 0.18, margin: 0.04 },
+    texts: [
+      {
+        position: "bottom",
+        margin: 0.06,
+        fontSize: 48,
+        color: "white",
+        box: true,
+        file: "/t/a_0.txt",
+      },
+      { position: "top-left", margin: 0.05, fontSize: 32, color: "yellow", file: "/t/a_1.txt" },
+    ],
+    fontFile: "/fonts/DejaVuSans-Bold.ttf",
+  });
+  const font = "fontfile='/fonts/DejaVuSans-Bold.ttf'";
+  assert.deepEqual(graph.split(";"), [
+    "[0:v]fps=30[base]",
+    "[1:v]scale=194:-1:flags=bicubic,format=rgba,colorchannelmixer=aa=0.85[logo]",
+    "[base][logo]overlay=x=W-w-43:y=43:format=auto[logoed]",
+    `[logoed]drawtext=${font}:textfile='/t/a_0.txt':expansion=none:fontsize=48:fontcolor=white` +
+      ":line_spacing=12:x=(w-text_w)/2:y=h-text_h-65:box=1:boxcolor=black@0.45:boxborderw=17[text0]",
+    `[text0]drawtext=${font}:textfile='/t/a_1.txt':expansion=none:fontsize=32:fontcolor=yellow` +
+      ":line_spacing=8:x=54:y=54:borderw=2:bordercolor=black@0.7[v]",
+  ]);
+
+  assert.equal(overlayGraph({ preset, base: "fps=30" }), "[0:v]fps=30[v]");
+  const quoted = { position: "top", margin: 0, fontSize: 20, file: "/t/it's.txt" };
+  assert.throws(
+    () => overlayGraph({ preset, base: "", texts: [quoted], fontFile: "/f.ttf" }),
+    /branding_path_not_supported/
+  );
+});
+
+test("joinArgs fits every segment and fills silent ones when the output has sound", () => {
+  const aformat = "aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo";
+  const fit =
+    "scale=w=1080:h=1920:force_original_aspect_ratio=increase:flags=bilinear,crop=1080:1920";
+  const withAudio = joinArgs({
+    segments: [
+      { path: "intro.mp4", duration: 2, has_audio: false },
+      { path: "main.mp4", duration: 10, has_audio: true, fitted: true },
+    ],
+    preset,
+    fps: 30,
+    audio: true,
+  });
+  assert.deepEqual(withAudio, [
+    "-i",
+    "intro.mp4",
+    "-i",
+    "main.mp4",
+    "-f",
+    "lavfi",
+    "-t",
+    "2",
+    "-i",
+    "anullsrc=r=48000:cl=stereo",
+    "-filter_complex",
+    [
+      `[0:v]${fit},fps=30,setsar=1,format=yuv420p[v0]`,
+      `[2:a]${aformat}[a0]`,
+      "[1:v]scale=1080:1920,fps=30,setsar=1,format=yuv420p[v1]",
+      `[1:a]${aformat}[a1]`,
+      "[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]",
+    ].join(";"),
+    "-map",
+    "[v]",
+    "-map",
+    "[a]",
+  ]);
+
+  const silent = joinArgs({
+    segments: [{ path: "main.mp4", fitted: true }, { path: "outro.mp4" }],
+    preset,
+    fps: 30,
+    audio: false,
+  });
+  assert.equal(silent.at(-5), "-filter_complex");
+  assert.match(silent.at(-4), /\[v0\]\[v1\]concat=n=2:v=1:a=0\[v\]$/);
+  assert.deepEqual(silent.slice(-3), ["-map", "[v]", "-an"]);
+});
+
+test("writeTextFiles drops emoji, wraps, cuts after 4 lines and skips empty entries", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-branding-"));
+  try {
+    const style = { position: "bottom", size: 0.045, margin: 0.06, color: "white", box: true };
+    const caption = `POV: 🧊🇸🇪 ${"cold pouch ".repeat(20)}❤️‍🔥`;
+    const written = await writeTextFiles({
+      texts: [
+        { ...style, source: "caption" },
+        { ...style, source: "static", text: "🔥🔥" },
+        { ...style, source: "static", text: "18+" },
+      ],
+      caption,
+      preset,
+      filePrefix: path.join(dir, "out"),
+    });
+
+    assert.deepEqual(
+      written.map((t) => [path.basename(t.file), t.fontSize]),
+      [
+        ["out_0.txt", 49],
+        ["out_2.txt", 49],
+      ]
+    );
+    const lines = (await fs.readFile(written[0].file, "utf8")).split("\n");
+    assert.equal(lines.length, 4);
+    assert.equal(lines[0], "POV: cold pouch cold pouch cold");
+    assert.ok(lines.every((l) => l.length <= 32));
+    assert.ok(lines[3].endsWith("…"));
+    assert.equal(await fs.readFile(written[1].file, "utf8"), "18+");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { loadThemes } from "../themes.js";
+import {
+  makeBatchCaptions,
+  normalizeLocale,
+  parseLocaleOptions,
+  resolveItemLocales,
+} from "../captions.js";
+
+const pack = {
+  hashtagsPerItem: 2,
+  captions: ["one", "two", "three"],
+  hashtags: ["#a", "#b", "#c"],
+  locales: {
+    sv: { captions: ["ett", "två"], hashtags: ["#sv"] },
+  },
+};
+
+let dir;
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-captions-"));
+  await fs.writeFile(path.join(dir, "test.json"), JSON.stringify(pack));
+  await loadThemes(dir);
+});
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("normalizeLocale lowercases and accepts _ as separator", () => {
+  assert.equal(normalizeLocale("sv_SE"), "sv-se");
+  assert.equal(normalizeLocale(" DA "), "da");
+  assert.equal(normalizeLocale("english!"), null);
+  assert.equal(normalizeLocale(""), null);
+});
+
+test("parseLocaleOptions reads JSON and form-data shapes, collects invalid values", () => {
+  assert.deepEqual(
+    parseLocaleOptions({ locale: "SV", locales: "da, de_AT", localeMap: '{"a.mp4":"fi"}' }),
+    {
+      options: { locale: "sv", locales: ["da", "de-at"], localeMap: { "a.mp4": "fi" } },
+      invalid: [],
+    }
+  );
+  assert.deepEqual(
+    parseLocaleOptions({ locales: ["sv", "??"], localeMap: "{bad" }).invalid,
+    ["??", "localeMap"]
+  );
+});
+
+test("resolveItemLocales: map (path, then file name) > round-robin > locale > en", () => {
+  assert.deepEqual(
+    resolveItemLocales({
+      keys: ["in/a.mp4", "in/b.mp4", "c.mp4", "d.mp4"],
+      locales: ["da", "de"],
+      localeMap: { "in/a.mp4": "fi", "b.mp4": "no" },
+    }),
+    ["fi", "no", "da", "de"]
+  );
+  assert.deepEqual(resolveItemLocales({ keys: ["a", "b"], locale: "sv" }), ["sv", "sv"]);
+  assert.deepEqual(resolveItemLocales({ keys: ["a"] }), ["en"]);
+});
+
+test("no-caption mode gives empty captions and hashtags", () => {
+  const { items, warnings } = makeBatchCaptions({ count: 2, noCaptionMode: true, theme: "test" });
+  assert.deepEqual(items[1], { caption: "", hashtags: [], locale: "en", locale_fallback: false });
+  assert.deepEqual(warnings, []);
+});
+
+test("captions don't repeat inside a batch while the pool lasts", () => {
+  const { items, warnings } = makeBatchCaptions({ count: 3, theme: "test" });
+  assert.deepEqual(items.map((i) => i.caption).sort(), ["one", "three", "two"]);
+  assert.ok(items.every((i) => i.hashtags.length === 2 && new Set(i.hashtags).size === 2));
+  assert.deepEqual(warnings, []);
+});
+
+test("recent captions are reused before repeating, and both are reported", () => {
+  const { items, warnings } = makeBatchCaptions({
+    count: 4,
+    theme: "test",
+    exclude: new Set(["one", "two"]),
+  });
+  const captions = items.map((i) => i.caption);
+  assert.equal(captions[0], "three");
+  assert.deepEqual(captions.slice(1, 3).sort(), ["one", "two"]);
+  assert.deepEqual(warnings, [
+    { code: "recent_captions_reused", locale: "en", count: 2 },
+    { code: "caption_pool_exhausted", locale: "en", needed: 4, unique: 3, pool_size: 3 },
+  ]);
+});
+
+test("locales use their own pools, English stands in for missing ones", () => {
+  const { items } = makeBatchCaptions({ count: 2, theme: "test", locales: ["sv-se", "de"] });
+  assert.ok(["ett", "två"].includes(items[0].caption));
+  assert.deepEqual(items[0].hashtags, ["#sv"]);
+  assert.equal(items[0].locale_fallback, false);
+  assert.ok(pack.captions.includes(items[1].caption));
+  assert.equal(items[1].locale_fallback, true);
+});
+
+test("unknown theme fails", () => {
+  assert.throws(() => makeBatchCaptions({ count: 1, theme: "nope" }), /unknown_theme/);
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  escapeCsv,
+  toCsv,
+  toBufferCsv,
+  toLaterCsv,
+  toHootsuiteCsv,
+  toFullCsv,
+} from "../csv.js";
+
+const clip = (fields = {}) => ({
+  idx: 0,
+  input_name: "a.mp4",
+  output_url: "https://cdn.example/a.mp4",
+  caption: "Hello",
+  hashtags: ["#one", " #two "],
+  ...fields,
+});
+
+const scheduled = { publish_date: "2026-11-02", publish_time: "14:07", publish_at: "2026-11-02T13:07:00.000Z" };
+
+test("escapeCsv quotes commas, quotes and line breaks only", () => {
+  assert.equal(escapeCsv("plain"), "plain");
+  assert.equal(escapeCsv("a,b"), '"a,b"');
+  assert.equal(escapeCsv('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsv("two\nlines"), '"two\nlines"');
+  assert.equal(escapeCsv(null), "");
+  assert.equal(escapeCsv(3), "3");
+});
+
+test("metricool: caption + hashtags in one text field, rows without a video skipped", () => {
+  const csv = toCsv([clip(), clip({ output_url: "" }), null]);
+  assert.equal(csv, 'Text,Picture Url 1\n"Hello\n\n#one #two",https://cdn.example/a.mp4');
+});
+
+test("metricool adds cover and schedule columns only when the batch has them", () => {
+  const csv = toCsv([clip({ thumbnail_url: "https://cdn.example/a.jpg", ...scheduled })]);
+  assert.equal(csv.split("\n")[0], "Text,Picture Url 1,Video Thumbnail Url,Date,Time");
+  assert.ok(csv.endsWith('",https://cdn.example/a.mp4,https://cdn.example/a.jpg,2026-11-02,14:07'));
+});
+
+test("buffer, later and hootsuite layouts", () => {
+  const results = [clip({ caption: "", hashtags: [], ...scheduled })];
+  assert.equal(
+    toBufferCsv(results),
+    "Text,Image URL,Video URL,Tags,Posting Time\n,,https://cdn.example/a.mp4,,2026-11-02 14:07"
+  );
+  assert.equal(
+    toLaterCsv(results),
+    "Caption,Media URL,Date,Time\n,https://cdn.example/a.mp4,2026-11-02,14:07"
+  );
+  // Hootsuite wants DD/MM/YYYY and minutes in steps of 5
+  assert.equal(
+    toHootsuiteCsv(results),
+    "Date,Message,Link\n02/11/2026 14:05,,https://cdn.example/a.mp4"
+  );
+  assert.equal(toLaterCsv([clip({ caption: "x", hashtags: [] })]).split("\n")[1], "x,https://cdn.example/a.mp4,,");
+});
+
+test("full csv lists every detail column the batch has", () => {
+  const csv = toFullCsv([
+    clip({ preview_url: "https://cdn.example/a.gif", ...scheduled }),
+    clip({ idx: 1, input_name: "b, c.mp4", caption: " spaced " }),
+  ]);
+  const lines = csv.split("\n");
+  assert.equal(
+    lines[0],
+    "idx,input_name,output_url,caption,hashtags,preview_url,publish_date,publish_time,publish_at"
+  );
+  assert.equal(
+    lines[1],
+    "0,a.mp4,https://cdn.example/a.mp4,Hello,#one #two,https://cdn.example/a.gif,2026-11-02,14:07,2026-11-02T13:07:00.000Z"
+  );
+  assert.equal(lines[2], '1,"b, c.mp4",https://cdn.example/a.mp4,spaced,#one #two,,,,');
+});
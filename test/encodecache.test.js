@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { createEncodeCache } from "../encodecache.js";
+
+let dir;
+test.beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-encodecache-"));
+});
+test.afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+// a 10-byte "output" to store
+async function output(name) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, name.padEnd(10, "."));
+  return file;
+}
+
+test("keys are stable for the same input + settings and change with either", async () => {
+  const cache = createEncodeCache({ dir: path.join(dir, "cache"), maxBytes: 100 });
+  const a = await output("a.mp4");
+  const copy = path.join(dir, "copy.mp4");
+  await fs.copyFile(a, copy);
+
+  const hash = await cache.hashFile(a);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(await cache.hashFile(copy), hash);
+  assert.notEqual(await cache.hashFile(await output("b.mp4")), hash);
+
+  const parts = { input: hash, preset: "tiktok", level: 1, branding: null };
+  assert.equal(cache.keyOf(parts), cache.keyOf({ ...parts }));
+  assert.notEqual(cache.keyOf(parts), cache.keyOf({ ...parts, preset: "reels" }));
+  assert.notEqual(cache.keyOf(parts), cache.keyOf({ ...parts, level: 2 }));
+});
+
+test("stored outputs are restored with their metadata; misses return null", async () => {
+  const cache = createEncodeCache({ dir: path.join(dir, "cache"), maxBytes: 100 });
+  assert.equal(cache.enabled, true);
+  await cache.store("k1", await output("a.mp4"), { output: { duration: 12 } });
+
+  const dest = path.join(dir, "restored.mp4");
+  const entry = await cache.restore("k1", dest);
+  assert.deepEqual([entry.key, entry.size, entry.output], ["k1", 10, { duration: 12 }]);
+  assert.equal(await fs.readFile(dest, "utf8"), "a.mp4.....");
+  assert.equal(await cache.restore("k2", dest), null);
+  assert.equal(createEncodeCache({ dir, maxBytes: 0 }).enabled, false);
+});
+
+test("past maxBytes the least recently used entries are evicted", async () => {
+  const cacheDir = path.join(dir, "cache");
+  const cache = createEncodeCache({ dir: cacheDir, maxBytes: 25 });
+  await cache.store("old", await output("old.mp4"));
+  await cache.store("used", await output("used.mp4"));
+
+  // "old" was stored first and never used again, "used" was just restored
+  const past = new Date(Date.now() - 60000);
+  await fs.utimes(path.join(cacheDir, "old.json"), past, past);
+  await fs.utimes(path.join(cacheDir, "used.json"), past, past);
+  assert.ok(await cache.restore("used", path.join(dir, "out.mp4")));
+
+  await cache.store("new", await output("new.mp4"));
+  assert.deepEqual((await fs.readdir(cacheDir)).sort(), [
+    "new.json",
+    "new.mp4",
+    "used.json",
+    "used.mp4",
+  ]);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  emitBatchEvent,
+  finishBatchEvents,
+  hasBatchEvents,
+  restartBatchEvents,
+  subscribeBatchEvents,
+} from "../events.js";
+
+test("events get increasing ids per batch", () => {
+  assert.equal(emitBatchEvent("batch_ids_a", "stage", {}).id, 1);
+  assert.equal(emitBatchEvent("batch_ids_a", "stage", {}).id, 2);
+  assert.equal(emitBatchEvent("batch_ids_b", "stage", {}).id, 1);
+});
+
+test("subscribers get the events after Last-Event-ID, then live ones", () => {
+  for (const n of [1, 2, 3]) emitBatchEvent("batch_replay", "clip", { n });
+
+  const seen = [];
+  const unsubscribe = subscribeBatchEvents("batch_replay", 1, (e) => seen.push(e.id));
+  assert.deepEqual(seen, [2, 3]);
+
+  emitBatchEvent("batch_replay", "clip", { n: 4 });
+  assert.deepEqual(seen, [2, 3, 4]);
+  unsubscribe();
+});
+
+test("a Last-Event-ID beyond the log replays everything (process restarted)", () => {
+  emitBatchEvent("batch_restart", "stage", {});
+  emitBatchEvent("batch_restart", "stage", {});
+
+  const seen = [];
+  subscribeBatchEvents("batch_restart", 99, (e) => seen.push(e.id))();
+  assert.deepEqual(seen, [1, 2]);
+});
+
+test("the log keeps the newest 5000 events", () => {
+  for (let n = 0; n < 5003; n++) emitBatchEvent("batch_cap", "progress", { n });
+
+  const seen = [];
+  subscribeBatchEvents("batch_cap", 0, (e) => seen.push(e.id))();
+  assert.equal(seen.length, 5000);
+  assert.equal(seen[0], 4);
+  assert.equal(seen.at(-1), 5003);
+});
+
+test("unsubscribe stops live events; a failing listener doesn't stop the others", () => {
+  const seen = [];
+  const unsubscribe = subscribeBatchEvents("batch_unsub", 0, (e) => seen.push(e.type));
+  subscribeBatchEvents("batch_unsub", 0, () => {
+    throw new Error("client gone");
+  });
+
+  emitBatchEvent("batch_unsub", "stage", {});
+  unsubscribe();
+  emitBatchEvent("batch_unsub", "done", {});
+  assert.deepEqual(seen, ["stage"]);
+});
+
+test("a restarted batch starts a fresh log", () => {
+  emitBatchEvent("batch_retry", "done", {});
+  finishBatchEvents("batch_retry");
+  restartBatchEvents("batch_retry");
+  assert.equal(hasBatchEvents("batch_retry"), false);
+  assert.equal(emitBatchEvent("batch_retry", "stage", {}).id, 1);
+});
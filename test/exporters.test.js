@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_EXPORTS, buildManifest, parseExports, renderExports } from "../exporters.js";
+
+test("parseExports takes arrays or comma lists, dedupes and splits off unknown names", () => {
+  assert.deepEqual(parseExports(["Later", "later", "buffer"]), {
+    formats: ["later", "buffer"],
+    unknown: [],
+  });
+  assert.deepEqual(parseExports("metricool, nope,json"), {
+    formats: ["metricool", "json"],
+    unknown: ["nope"],
+  });
+});
+
+test("parseExports falls back to the defaults when nothing is asked for", () => {
+  assert.deepEqual(parseExports(undefined), { formats: DEFAULT_EXPORTS, unknown: [] });
+  assert.deepEqual(parseExports(" , "), { formats: DEFAULT_EXPORTS, unknown: [] });
+});
+
+test("renderExports returns one file per format", () => {
+  const results = [{ idx: 0, output_url: "https://cdn.example/a.mp4", caption: "Hi" }];
+  const files = renderExports(["metricool", "json"], results, { batchId: "batch_x" });
+
+  assert.deepEqual(
+    files.map(({ format, file, contentType }) => [format, file, contentType]),
+    [
+      ["metricool", "captions.csv", "text/csv"],
+      ["json", "manifest.json", "application/json"],
+    ]
+  );
+  assert.equal(files[0].body, "Text,Picture Url 1\nHi,https://cdn.example/a.mp4");
+  const manifest = JSON.parse(files[1].body);
+  assert.equal(manifest.batchId, "batch_x");
+  assert.equal(manifest.count, 1);
+});
+
+test("buildManifest fills defaults for missing fields", () => {
+  const manifest = buildManifest({
+    batchId: "batch_x",
+    theme: "snus",
+    results: [{ idx: 2, preset: "tiktok", file: "clip_003.mp4", caption: "c", hashtags: [] }],
+  });
+
+  assert.deepEqual(manifest.locales, []);
+  assert.deepEqual(manifest.errors, []);
+  assert.equal(manifest.branding, null);
+  assert.equal(manifest.schedule, null);
+  assert.deepEqual(manifest.files[0], {
+    idx: 2,
+    preset: "tiktok",
+    file: "clip_003.mp4",
+    input_name: undefined,
+    output_url: undefined,
+    thumbnail_url: null,
+    preview_url: null,
+    caption: "c",
+    hashtags: [],
+    locale: undefined,
+    publish_at: null,
+  });
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createJobStore } from "../jobstore.js";
+
+const job = (batchId, fields = {}) => ({
+  batchId,
+  status: "done",
+  owner: null,
+  createdAt: 1000,
+  updatedAt: 1000,
+  ...fields,
+});
+
+test("memory store saves a snapshot, later edits don't leak in", async () => {
+  const store = await createJobStore({ driver: "memory" });
+  const j = job("batch_a", { results: [] });
+  await store.save(j);
+  j.results.push({ idx: 0 });
+  j.status = "error";
+
+  const saved = await store.get("batch_a");
+  assert.equal(saved.status, "done");
+  assert.deepEqual(saved.results, []);
+  assert.equal(await store.get("batch_missing"), null);
+});
+
+test("memory store lists by status, oldest first", async () => {
+  const store = await createJobStore({ driver: "memory" });
+  await store.save(job("batch_b", { status: "queued", createdAt: 3 }));
+  await store.save(job("batch_a", { status: "processing", createdAt: 1 }));
+  await store.save(job("batch_c", { status: "done", createdAt: 2 }));
+
+  const unfinished = await store.listByStatus(["queued", "processing"]);
+  assert.deepEqual(unfinished.map((j) => j.batchId), ["batch_a", "batch_b"]);
+});
+
+test("memory store keeps tenants apart", async () => {
+  const store = await createJobStore({ driver: "memory" });
+  await store.save(job("batch_a", { owner: "acme", createdAt: 10, idempotency_key: "k" }));
+  await store.save(job("batch_b", { owner: "acme", createdAt: 20, idempotency_key: "k" }));
+  await store.save(job("batch_c", { owner: "beta", createdAt: 30, idempotency_key: "k" }));
+  await store.save(job("batch_d", { createdAt: 40 }));
+
+  assert.deepEqual(
+    (await store.listRecentDone(5, "acme")).map((j) => j.batchId),
+    ["batch_b", "batch_a"]
+  );
+  assert.deepEqual((await store.listRecentDone(5)).map((j) => j.batchId), ["batch_d"]);
+  assert.equal(await store.countCreatedSince("acme", 15), 1);
+  assert.equal((await store.findByIdempotencyKey("acme", "k", 0)).batchId, "batch_b");
+  assert.equal(await store.findByIdempotencyKey("acme", "k", 25), null);
+  assert.equal(await store.findByIdempotencyKey("beta", "other", 0), null);
+});
+
+test("memory store list filters and pages newest first", async () => {
+  const store = await createJobStore({ driver: "memory" });
+  for (let n = 1; n <= 5; n++) {
+    await store.save(
+      job(`batch_${n}`, {
+        owner: n % 2 ? "acme" : "beta",
+        status: n === 5 ? "error" : "done",
+        theme: n === 1 ? "snus" : "padel",
+        createdAt: n * 100,
+      })
+    );
+  }
+
+  const all = await store.list();
+  assert.equal(all.total, 5);
+  assert.deepEqual(all.jobs.map((j) => j.batchId), [
+    "batch_5",
+    "batch_4",
+    "batch_3",
+    "batch_2",
+    "batch_1",
+  ]);
+
+  const acme = await store.list({ owner: "acme", statuses: ["done"] });
+  assert.deepEqual(acme.jobs.map((j) => j.batchId), ["batch_3", "batch_1"]);
+
+  const ranged = await store.list({ from: 200, to: 400, limit: 2, offset: 1 });
+  assert.equal(ranged.total, 3);
+  assert.deepEqual(ranged.jobs.map((j) => j.batchId), ["batch_3", "batch_2"]);
+
+  assert.deepEqual(
+    (await store.list({ theme: "snus" })).jobs.map((j) => j.batchId),
+    ["batch_1"]
+  );
+});
+
+test("remove waits for a pending save of the same job", async () => {
+  const store = await createJobStore({ driver: "memory" });
+  const saving = store.save(job("batch_a"));
+  await store.remove("batch_a");
+  await saving;
+  assert.equal(await store.get("batch_a"), null);
+});
+
+test("unknown driver fails", async () => {
+  await assert.rejects(createJobStore({ driver: "nope" }), /unknown_job_store/);
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "../logger.js";
+
+// logger writing into an array -> { log, out: [{ lvl, line }] }
+function capture(options = {}) {
+  const out = [];
+  const log = createLogger({ ...options, write: (lvl, line) => out.push({ lvl, line }) });
+  return { log, out };
+}
+
+test("lines below the level are dropped", () => {
+  const { log, out } = capture({ level: "warn" });
+  log.debug("d");
+  log.info("i");
+  log.warn("w");
+  log.error("e");
+  assert.deepEqual(out.map((o) => o.lvl), ["warn", "error"]);
+});
+
+test("json lines carry time, level, child fields and extras", () => {
+  const { log, out } = capture({ level: "debug" });
+  const clip = log.child({ component: "clip", batchId: "batch_x" }).child({ idx: 3 });
+  clip.debug("encode done", { stage: "encode", skipped: undefined });
+
+  const entry = JSON.parse(out[0].line);
+  assert.ok(out[0].line.endsWith("\n"));
+  assert.match(entry.time, /^\d{4}-\d{2}-\d{2}T/);
+  delete entry.time;
+  assert.deepEqual(entry, {
+    level: "debug",
+    component: "clip",
+    batchId: "batch_x",
+    idx: 3,
+    msg: "encode done",
+    stage: "encode",
+  });
+});
+
+test("errors are flattened to message, code, details and stack", () => {
+  const { log, out } = capture();
+  const e = Object.assign(new Error("ffmpeg_failed\nstderr tail"), {
+    code: "ENCODE",
+    details: { exitCode: 1 },
+  });
+  log.error("clip failed", { err: e });
+
+  const { err } = JSON.parse(out[0].line);
+  assert.equal(err.message, "ffmpeg_failed");
+  assert.equal(err.code, "ENCODE");
+  assert.deepEqual(err.details, { exitCode: 1 });
+  assert.match(err.stack, /^Error: ffmpeg_failed/);
+});
+
+test("an unserializable line falls back to the message", () => {
+  const { log, out } = capture();
+  const loop = {};
+  loop.self = loop;
+  log.child({ component: "jobs" }).warn("odd", { loop, big: 1n });
+
+  const entry = JSON.parse(out[0].line);
+  delete entry.time;
+  assert.deepEqual(entry, { level: "warn", component: "jobs", msg: "odd", unserializable: true });
+});
+
+test("pretty format: level, [component], msg and key=value pairs", () => {
+  const { log, out } = capture({ format: "pretty" });
+  log.child({ component: "clip" }).info("encode done", { idx: 3, preset: "tiktok", meta: { a: 1 } });
+  assert.match(
+    out[0].line,
+    /^\d{2}:\d{2}:\d{2}\.\d{3} info \[clip\] encode done idx=3 preset=tiktok meta=\{"a":1\}\n$/
+  );
+
+  log.error("boom", { err: new Error("bad") });
+  const [first, second] = out[1].line.split("\n");
+  assert.match(first, / error boom$/);
+  assert.equal(second, "Error: bad");
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics } from "../metrics.js";
+
+const lines = (metrics) => metrics.render().trimEnd().split("\n");
+
+test("counters render one series per label combination", () => {
+  const metrics = createMetrics({ prefix: "molle_" });
+  const clips = metrics.counter("clips_total", "Clips finished", ["result"]);
+  clips.inc({ result: "done" });
+  clips.inc({ result: "done" }, 2);
+  clips.inc({ result: "error", extra: "dropped" });
+
+  assert.deepEqual(lines(metrics), [
+    "# HELP molle_clips_total Clips finished",
+    "# TYPE molle_clips_total counter",
+    'molle_clips_total{result="done"} 3',
+    'molle_clips_total{result="error"} 1',
+  ]);
+});
+
+test("gauges are read at scrape time; a throwing gauge is skipped", () => {
+  const metrics = createMetrics();
+  let queued = 2;
+  metrics.gauge("queue_length", "Batches waiting", () => queued);
+  metrics.gauge("broken", "Always fails", () => {
+    throw new Error("boom");
+  });
+  metrics.gauge("disk_free_bytes", "Free disk", () => [
+    { labels: { path: "/tmp" }, value: 1024 },
+    { labels: { path: "/data" }, value: Infinity },
+  ]);
+
+  queued = 5;
+  const out = lines(metrics);
+  assert.ok(out.includes("queue_length 5"));
+  assert.ok(!out.some((l) => l.startsWith("broken ")));
+  assert.ok(out.includes('disk_free_bytes{path="/tmp"} 1024'));
+  assert.ok(out.includes('disk_free_bytes{path="/data"} +Inf'));
+});
+
+test("histograms render cumulative buckets, +Inf, sum and count", () => {
+  const metrics = createMetrics();
+  const stage = metrics.histogram("stage_seconds", "Stage time", ["stage"], [5, 1]);
+  stage.observe({ stage: "encode" }, 0.5);
+  stage.observe({ stage: "encode" }, 3);
+  stage.observe({ stage: "encode" }, 9);
+
+  assert.deepEqual(lines(metrics).slice(2), [
+    'stage_seconds_bucket{stage="encode",le="1"} 1',
+    'stage_seconds_bucket{stage="encode",le="5"} 2',
+    'stage_seconds_bucket{stage="encode",le="+Inf"} 3',
+    'stage_seconds_sum{stage="encode"} 12.5',
+    'stage_seconds_count{stage="encode"} 3',
+  ]);
+});
+
+test("label values and help text are escaped", () => {
+  const metrics = createMetrics();
+  const errors = metrics.counter("errors_total", "Errors\nby code \\ stage", ["code"]);
+  errors.inc({ code: 'a"b\\c\nd' });
+
+  assert.deepEqual(lines(metrics), [
+    "# HELP errors_total Errors\\nby code \\\\ stage",
+    "# TYPE errors_total counter",
+    'errors_total{code="a\\"b\\\\c\\nd"} 1',
+  ]);
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import { createSemaphore, runPool, waitForResources } from "../pool.js";
+
+// promise + its resolve/reject, to finish work by hand
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => ((resolve = res), (reject = rej)));
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test("the semaphore runs at most `limit` tasks, the rest wait in order", async () => {
+  const sem = createSemaphore(2);
+  const jobs = [deferred(), deferred(), deferred()];
+  const started = [];
+  const runs = jobs.map((d, n) =>
+    sem.run(() => {
+      started.push(n);
+      return d.promise;
+    })
+  );
+
+  await tick();
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual([sem.active, sem.waiting], [2, 1]);
+
+  jobs[1].resolve("b");
+  assert.equal(await runs[1], "b");
+  await tick();
+  assert.deepEqual(started, [0, 1, 2]);
+
+  jobs[0].resolve();
+  jobs[2].resolve();
+  await Promise.all(runs);
+  assert.deepEqual([sem.active, sem.waiting], [0, 0]);
+});
+
+test("a rejected task frees its slot", async () => {
+  const sem = createSemaphore(1);
+  await assert.rejects(
+    sem.run(async () => {
+      throw new Error("encode failed");
+    }),
+    /encode failed/
+  );
+  assert.equal(sem.active, 0);
+  assert.equal(await sem.run(async () => "next"), "next");
+});
+
+test("an abort while waiting leaves the queue without taking a slot", async () => {
+  const sem = createSemaphore(1);
+  const holder = deferred();
+  const held = sem.run(() => holder.promise);
+
+  const controller = new AbortController();
+  const queued = sem.run(async () => "never", controller.signal);
+  assert.equal(sem.waiting, 1);
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(queued, /cancelled/);
+  assert.deepEqual([sem.active, sem.waiting], [1, 0]);
+
+  holder.resolve();
+  await held;
+  assert.equal(sem.active, 0);
+  assert.equal(createSemaphore(0).limit, 1);
+});
+
+test("runPool starts workers in order, at most `concurrency` at a time", async () => {
+  let running = 0;
+  let peak = 0;
+  const order = [];
+  await runPool(7, 3, async (k) => {
+    order.push(k);
+    running += 1;
+    peak = Math.max(peak, running);
+    await tick();
+    running -= 1;
+  });
+  assert.deepEqual(order, [0, 1, 2, 3, 4, 5, 6]);
+  assert.equal(peak, 3);
+});
+
+test("runPool starts nothing new once aborted", async () => {
+  const controller = new AbortController();
+  const started = [];
+  await runPool(
+    5,
+    1,
+    async (k) => {
+      started.push(k);
+      if (k === 1) controller.abort();
+    },
+    { signal: controller.signal }
+  );
+  assert.deepEqual(started, [0, 1]);
+});
+
+test("waitForResources doesn't wait on itself when nothing else runs", async () => {
+  const huge = os.totalmem() * 2;
+  assert.ok((await waitForResources({ minFreeMemory: huge })).waitedMs < 1000);
+
+  let polls = 0;
+  // others are busy: poll until they're done
+  await waitForResources({ minFreeMemory: huge, busy: () => ++polls < 3, pollMs: 1 });
+  assert.equal(polls, 3);
+});
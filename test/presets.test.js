@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import {
+  DEFAULT_PRESETS,
+  audioArgs,
+  encodeArgs,
+  fitFilter,
+  getPreset,
+  loadPresets,
+  parsePresets,
+  validatePreset,
+} from "../presets.js";
+
+test("the default preset is the old hardcoded tiktok encode", () => {
+  assert.deepEqual(DEFAULT_PRESETS, ["tiktok"]);
+  const tiktok = getPreset(" TikTok ");
+  assert.equal(tiktok.width, 1080);
+  assert.equal(tiktok.height, 1920);
+  assert.equal(getPreset("nope"), null);
+});
+
+test("parsePresets dedupes, keeps order and splits off unknown ids", () => {
+  assert.deepEqual(parsePresets("reels, TIKTOK,reels,square"), {
+    presets: ["reels", "tiktok"],
+    unknown: ["square"],
+  });
+  assert.deepEqual(parsePresets([]), { presets: DEFAULT_PRESETS, unknown: [] });
+});
+
+test("validatePreset checks sizes, fit, rate control and audio", () => {
+  assert.deepEqual(validatePreset("custom", { width: 720, height: 1280 }), []);
+  // overrides of built-ins may be partial
+  assert.deepEqual(validatePreset("reels", { crf: 20 }), []);
+  assert.deepEqual(
+    validatePreset("Bad Id", {
+      width: 721,
+      height: 8192,
+      fit: "stretch",
+      fps: 0,
+      crf: 60,
+      videoBitrate: "fast",
+      maxDuration: -1,
+      audioCodec: "mp3",
+    }),
+    [
+      "invalid_preset_id",
+      "width_must_be_an_even_integer_16_4096",
+      "height_must_be_an_even_integer_16_4096",
+      "fit_must_be_one_of_crop_pad_blur",
+      "fps_must_be_between_1_and_120",
+      "crf_must_be_an_integer_0_51",
+      "videoBitrate_must_look_like_6M_or_4500k",
+      "maxDuration_must_be_positive_seconds",
+      "audioCodec_must_be_one_of_copy_aac_none",
+    ]
+  );
+  assert.deepEqual(validatePreset("x", []), ["preset_must_be_an_object"]);
+});
+
+test("encodeArgs: bitrate mode wins over crf, maxDuration adds -t", () => {
+  assert.deepEqual(encodeArgs({ crf: 23 }), ["-crf", "23"]);
+  assert.deepEqual(encodeArgs({ crf: 23, videoBitrate: "4500k", maxDuration: 60 }), [
+    "-b:v",
+    "4500k",
+    "-maxrate",
+    "4500k",
+    "-bufsize",
+    "9000k",
+    "-t",
+    "60",
+  ]);
+});
+
+test("audioArgs: copy falls back to AAC, none drops audio", () => {
+  assert.deepEqual(audioArgs({ audioCodec: "copy", audioBitrate: "128k" }), [
+    ["-c:a", "copy"],
+    ["-c:a", "aac", "-b:a", "128k"],
+  ]);
+  assert.deepEqual(audioArgs({ audioCodec: "aac", audioBitrate: "96k" }), [
+    ["-c:a", "aac", "-b:a", "96k"],
+    null,
+  ]);
+  assert.deepEqual(audioArgs({ audioCodec: "none" }), [["-an"], null]);
+});
+
+test("fitFilter builds the scale graph of each fit mode", () => {
+  assert.match(fitFilter({ width: 1080, height: 1920, fit: "crop" }), /increase.*,crop=1080:1920$/);
+  assert.match(fitFilter({ width: 1080, height: 1920, fit: "pad" }), /decrease.*,pad=1080:1920:/);
+  const blur = fitFilter({ width: 1080, height: 1920, fit: "blur" }, "1");
+  assert.match(blur, /^split=2\[bg1\]\[fg1\];/);
+  assert.match(blur, /boxblur=20:2\[bgb1\];/);
+});
+
+test("loadPresets merges the file over the built-ins and skips invalid entries", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-presets-"));
+  try {
+    const file = path.join(dir, "presets.json");
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        tiktok: { crf: 20 },
+        story: { name: "Story", width: 720, height: 1280, fit: "crop" },
+        broken: { width: 1 },
+      })
+    );
+    const ids = (await loadPresets(file)).map((p) => p.id);
+
+    assert.ok(ids.includes("story"));
+    assert.ok(!ids.includes("broken"));
+    assert.equal(getPreset("tiktok").crf, 20);
+    assert.equal(getPreset("tiktok").width, 1080);
+    assert.deepEqual(getPreset("story"), {
+      id: "story",
+      name: "Story",
+      width: 720,
+      height: 1280,
+      fit: "crop",
+      fps: null,
+      crf: 23,
+      videoBitrate: null,
+      maxDuration: null,
+      audioCodec: "copy",
+      audioBitrate: "128k",
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkInput } from "../probe.js";
+
+const clip = {
+  duration: 20,
+  width: 1080,
+  height: 1920,
+  video_codec: "h264",
+  has_audio: true,
+  format: "mov,mp4,m4a,3gp,3g2,mj2",
+  size: 5_000_000,
+};
+
+// -> [code, details] of the failed check, or null
+const check = (meta, limits) => {
+  const err = checkInput({ ...clip, ...meta }, limits);
+  return err && [err.message, err.details];
+};
+
+test("inputs within the limits (or without limits) pass", () => {
+  assert.equal(check({}), null);
+  const limits = { maxDuration: 60, minDuration: 3, maxWidth: 1920, maxHeight: 1080 };
+  assert.equal(check({}, { ...limits, minShortSide: 720 }), null);
+});
+
+test("a file without a video stream is not_a_video, whatever the limits", () => {
+  assert.deepEqual(check({ video_codec: null, format: "mp3" }), ["not_a_video", { format: "mp3" }]);
+});
+
+test("size, duration and audio limits", () => {
+  assert.deepEqual(check({}, { maxBytes: 1_000_000 }), [
+    "file_too_large",
+    { size: 5_000_000, limit: 1_000_000 },
+  ]);
+  assert.deepEqual(check({}, { maxDuration: 15 }), ["too_long", { duration: 20, limit: 15 }]);
+  assert.deepEqual(check({}, { minDuration: 30 }), ["too_short", { duration: 20, limit: 30 }]);
+  // unknown duration isn't too short
+  assert.equal(check({ duration: null }, { minDuration: 30 }), null);
+  assert.deepEqual(check({ has_audio: false }, { requireAudio: true }), ["no_audio", {}]);
+});
+
+test("max resolution compares long and short sides, so orientation doesn't matter", () => {
+  const limits = { maxWidth: 1920, maxHeight: 1080 };
+  assert.equal(check({ width: 1080, height: 1920 }, limits), null);
+  assert.equal(check({ width: 1920, height: 1080 }, limits), null);
+  assert.deepEqual(check({ width: 2160, height: 3840 }, limits), [
+    "resolution_too_large",
+    { width: 2160, height: 3840, limit: "1920x1080" },
+  ]);
+  // long side fits, short side doesn't
+  assert.equal(check({ width: 1440, height: 1440 }, limits)[0], "resolution_too_large");
+});
+
+test("minShortSide rejects small inputs in either orientation", () => {
+  assert.deepEqual(check({ width: 480, height: 854 }, { minShortSide: 720 }), [
+    "resolution_too_small",
+    { width: 480, height: 854, limit: 720 },
+  ]);
+  const landscape = check({ width: 854, height: 480 }, { minShortSide: 720 });
+  assert.equal(landscape[0], "resolution_too_small");
+  assert.equal(check({ width: 720, height: 1280 }, { minShortSide: 720 }), null);
+});
+
+test("video codecs outside the allowed list are unsupported", () => {
+  assert.deepEqual(check({ video_codec: "prores" }, { videoCodecs: ["h264", "hevc"] }), [
+    "unsupported_codec",
+    { codec: "prores", allowed: ["h264", "hevc"] },
+  ]);
+  assert.equal(check({}, { videoCodecs: [] }), null);
+});
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { backoffDelay, isRetryable, sleep, statusOf, withRetry } from "../retry.js";
+
+const withStatus = (status) => Object.assign(new Error(`http ${status}`), { status });
+const withCode = (code) => Object.assign(new Error(code), { code });
+
+test("statusOf reads fetch, supabase-js and AWS SDK errors", () => {
+  assert.equal(statusOf(withStatus(503)), 503);
+  assert.equal(statusOf({ statusCode: "404" }), 404);
+  assert.equal(statusOf({ $metadata: { httpStatusCode: 500 } }), 500);
+  assert.equal(statusOf({ originalError: { status: 429 } }), 429);
+  assert.equal(statusOf(new Error("plain")), null);
+});
+
+test("isRetryable: network errors, timeouts, 408/429/5xx", () => {
+  for (const e of [
+    withStatus(408),
+    withStatus(429),
+    withStatus(502),
+    withCode("ECONNRESET"),
+    Object.assign(new TypeError("fetch failed"), { cause: { code: "UND_ERR_SOCKET" } }),
+    new Error("download_timeout"),
+    { $retryable: {} },
+  ]) {
+    assert.equal(isRetryable(e), true, e.message);
+  }
+});
+
+test("isRetryable: 4xx, aborts, unknown errors and explicit flags fail right away", () => {
+  const abort = new Error("aborted");
+  abort.name = "AbortError";
+  for (const e of [
+    withStatus(404),
+    withStatus(401),
+    abort,
+    withCode("ENOENT"),
+    new Error("invalid_object_path"),
+    Object.assign(withStatus(503), { retryable: false }),
+    null,
+  ]) {
+    assert.equal(isRetryable(e), false, String(e?.message));
+  }
+  assert.equal(isRetryable(Object.assign(withStatus(400), { retryable: true })), true);
+});
+
+test("backoffDelay grows exponentially with equal jitter, capped", () => {
+  for (let n = 0; n < 20; n++) {
+    const third = backoffDelay(3, { baseDelayMs: 100 }); // step 400
+    assert.ok(third >= 200 && third <= 400, String(third));
+    const capped = backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 });
+    assert.ok(capped >= 500 && capped <= 1000, String(capped));
+  }
+});
+
+test("withRetry retries transient failures and reports the attempts", async () => {
+  const retries = [];
+  let calls = 0;
+  const result = await withRetry(
+    async (attempt) => {
+      calls += 1;
+      if (attempt < 3) throw withStatus(503);
+      return "ok";
+    },
+    { baseDelayMs: 1, onRetry: ({ attempt }) => retries.push(attempt) }
+  );
+  assert.deepEqual(result, { value: "ok", attempts: 3 });
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test("withRetry stops on permanent errors and when attempts run out", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls += 1;
+        throw withStatus(404);
+      },
+      { baseDelayMs: 1 }
+    ),
+    (e) => e.status === 404 && e.attempts === 1
+  );
+  assert.equal(calls, 1);
+
+  await assert.rejects(
+    withRetry(
+      async () => {
+        throw withCode("ECONNRESET");
+      },
+      { maxAttempts: 2, baseDelayMs: 1 }
+    ),
+    (e) => e.attempts === 2
+  );
+});
+
+test("a cancel ends withRetry: the last error if already aborted, the reason mid-wait", async () => {
+  const aborted = AbortSignal.abort(new Error("cancelled"));
+  await assert.rejects(
+    withRetry(
+      async () => {
+        throw withStatus(503);
+      },
+      { baseDelayMs: 1, signal: aborted }
+    ),
+    (e) => e.status === 503 && e.attempts === 1
+  );
+
+  const controller = new AbortController();
+  await assert.rejects(
+    withRetry(
+      async () => {
+        throw withStatus(503);
+      },
+      {
+        baseDelayMs: 60000,
+        signal: controller.signal,
+        onRetry: () => controller.abort(new Error("cancelled")),
+      }
+    ),
+    /cancelled/
+  );
+  await assert.rejects(sleep(10, AbortSignal.abort(new Error("gone"))), /gone/);
+});
@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSchedule, planSchedule, validateSchedule } from "../schedule.js";
+
+const plan = (s, indices, seed, taken) =>
+  planSchedule(normalizeSchedule(s), indices, seed, taken).posts;
+
+test("validateSchedule: no schedule is fine, bad fields are listed", () => {
+  assert.deepEqual(validateSchedule(null), []);
+  assert.deepEqual(validateSchedule(false), []);
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const valid = { start: "2026-11-02T14:00", perDay: 3 };
+  assert.deepEqual(validateSchedule(valid, "schedule", now), []);
+  assert.deepEqual(validateSchedule([]), ["schedule_must_be_an_object"]);
+  assert.deepEqual(
+    validateSchedule({
+      start: "2026-02-30",
+      perDay: 49,
+      windows: ["09:00-12:00", "11:00-13:00"],
+      timezone: "Mars/Olympus",
+      jitterMinutes: 121,
+      repeat: true,
+    }),
+    [
+      "schedule.repeat_is_not_supported",
+      "schedule.start_must_be_YYYY-MM-DD_or_YYYY-MM-DDTHH:mm",
+      "schedule.perDay_must_be_an_integer_between_1_and_48",
+      "schedule.windows_must_not_overlap",
+      "schedule.timezone_is_unknown",
+      "schedule.jitterMinutes_must_be_between_0_and_120",
+    ]
+  );
+  assert.deepEqual(validateSchedule({ windows: "12:00-09:00" }, "defaults.schedule"), [
+    "defaults.schedule.windows_must_be_a_list_like_09:00-12:00",
+  ]);
+});
+
+test("validateSchedule rejects a start before today in the schedule's timezone", () => {
+  const now = Date.parse("2026-10-19T23:30:00Z"); // already Oct 20th in Tokyo
+  const check = (s) => validateSchedule(s, "schedule", now);
+
+  assert.deepEqual(check({ start: "2026-10-18" }), ["schedule.start_must_not_be_in_the_past"]);
+  assert.deepEqual(check({ start: "2026-10-19T08:00" }), []); // today is fine
+  assert.deepEqual(check({ start: "2026-10-19", timezone: "Asia/Tokyo" }), [
+    "schedule.start_must_not_be_in_the_past",
+  ]);
+  assert.deepEqual(check({ start: "2026-10-20", timezone: "Asia/Tokyo" }), []);
+});
+
+test("normalizeSchedule fills defaults; start is tomorrow in the schedule's timezone", () => {
+  const now = Date.parse("2026-11-02T23:30:00Z");
+  assert.deepEqual(normalizeSchedule({}, now), {
+    start: "2026-11-03",
+    perDay: 1,
+    windows: ["09:00-21:00"],
+    timezone: "UTC",
+    jitterMinutes: 0,
+  });
+  // already Nov 3rd in Tokyo
+  assert.equal(normalizeSchedule({ timezone: "Asia/Tokyo" }, now).start, "2026-11-04");
+  assert.deepEqual(normalizeSchedule({ windows: "18:00-21:00, 09:00-12:00" }, now).windows, [
+    "09:00-12:00",
+    "18:00-21:00",
+  ]);
+  assert.equal(normalizeSchedule(null), null);
+});
+
+test("posts are spread evenly over the windows, day after day", () => {
+  const posts = plan(
+    { start: "2026-11-02", perDay: 3, windows: ["09:00-12:00", "18:00-21:00"] },
+    [4, 0, 7, 2]
+  );
+  assert.deepEqual(
+    posts.map((p) => [p.idx, p.date, p.time, p.publish_at]),
+    [
+      [4, "2026-11-02", "10:00", "2026-11-02T10:00:00.000Z"],
+      [0, "2026-11-02", "18:00", "2026-11-02T18:00:00.000Z"],
+      [7, "2026-11-02", "20:00", "2026-11-02T20:00:00.000Z"],
+      [2, "2026-11-03", "10:00", "2026-11-03T10:00:00.000Z"],
+    ]
+  );
+});
+
+test("a start time skips the first day's earlier slots", () => {
+  const posts = plan(
+    { start: "2026-11-02T14:00", perDay: 3, windows: ["09:00-12:00", "18:00-21:00"] },
+    [0, 1, 2]
+  );
+  assert.deepEqual(
+    posts.map((p) => `${p.date} ${p.time}`),
+    ["2026-11-02 18:00", "2026-11-02 20:00", "2026-11-03 10:00"]
+  );
+});
+
+test("jitter is seeded by the batch id and keeps the order", () => {
+  const s = { start: "2026-11-02", perDay: 4, jitterMinutes: 120 };
+  const indices = [0, 1, 2, 3, 4, 5, 6, 7];
+  const a = plan(s, indices, "batch_a");
+  assert.deepEqual(plan(s, indices, "batch_a"), a);
+  assert.notDeepEqual(plan(s, indices, "batch_b"), a);
+
+  const times = a.map((p) => p.publish_at);
+  assert.deepEqual([...times].sort(), times);
+  assert.ok(a.every((p) => p.time >= "09:00" && p.time < "21:00"));
+});
+
+test("taken slots are skipped: a retry continues where the batch left off", () => {
+  const s = { start: "2026-11-02", perDay: 2, jitterMinutes: 30 };
+  const whole = plan(s, [0, 1, 2, 3, 4], "batch_a");
+  const retry = plan(s, [3, 4], "batch_a", 3);
+  assert.deepEqual(
+    retry.map((p) => p.publish_at),
+    whole.slice(3).map((p) => p.publish_at)
+  );
+  assert.deepEqual(retry.map((p) => p.idx), [3, 4]);
+});
+
+test("local times hold across a DST change", () => {
+  const posts = plan({ start: "2026-10-24", perDay: 1, timezone: "Europe/Stockholm" }, [0, 1]);
+  assert.deepEqual(
+    posts.map((p) => [p.date, p.time, p.publish_at]),
+    [
+      ["2026-10-24", "15:00", "2026-10-24T13:00:00.000Z"],
+      ["2026-10-25", "15:00", "2026-10-25T14:00:00.000Z"],
+    ]
+  );
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { sweepOrphans } from "../sweep.js";
+
+let dir;
+test.beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-sweep-"));
+});
+test.afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+// file or directory (with one file) under `dir`, last modified `ageMs` ago
+async function entry(name, { ageMs = 0, bytes = 10, directory = false } = {}) {
+  const target = path.join(dir, name);
+  if (directory) {
+    await fs.mkdir(path.join(target, "tiktok"), { recursive: true });
+    await fs.writeFile(path.join(target, "tiktok", "clip.mp4"), "x".repeat(bytes));
+  } else {
+    await fs.writeFile(target, "x".repeat(bytes));
+  }
+  const at = new Date(Date.now() - ageMs);
+  await fs.utimes(target, at, at);
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test("removes old entries nobody owns and reports their size", async () => {
+  await entry("upload_old", { ageMs: 2 * HOUR, bytes: 100 });
+  await entry("batch_gone", { ageMs: 2 * HOUR, bytes: 50, directory: true });
+  await entry("upload_fresh", { ageMs: 0 });
+
+  const { removed, bytes } = await sweepOrphans({ dir, minAgeMs: HOUR });
+  assert.deepEqual(removed.sort(), ["batch_gone", "upload_old"]);
+  assert.equal(bytes, 150);
+  assert.deepEqual(await fs.readdir(dir), ["upload_fresh"]);
+});
+
+test("entries of an active batch and names that don't match are kept", async () => {
+  await entry("batch_live", { ageMs: 2 * HOUR, directory: true });
+  await entry("batch_dead", { ageMs: 2 * HOUR, directory: true });
+  await entry("content-molle-assets", { ageMs: 2 * HOUR, directory: true });
+
+  const active = new Set(["batch_live"]);
+  const { removed } = await sweepOrphans({
+    dir,
+    match: (name) => name.startsWith("batch_"),
+    isOwned: (name) => active.has(name),
+    minAgeMs: HOUR,
+  });
+  assert.deepEqual(removed, ["batch_dead"]);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ["batch_live", "content-molle-assets"]);
+});
+
+test("a missing directory sweeps nothing", async () => {
+  assert.deepEqual(await sweepOrphans({ dir: path.join(dir, "nope") }), { removed: [], bytes: 0 });
+});
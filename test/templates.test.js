@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { captionCandidates, placeholders, poolSize, shuffle } from "../templates.js";
+
+// drain a candidate generator (small pools only)
+const all = (pools) => [...captionCandidates(pools)];
+
+test("placeholders lists each name once, in order", () => {
+  assert.deepEqual(placeholders("{opener} {vibe}, {opener}!"), ["opener", "vibe"]);
+  assert.deepEqual(placeholders("no slots here"), []);
+});
+
+test("shuffle keeps the elements and leaves the input alone", () => {
+  const input = [1, 2, 3, 4, 5];
+  const out = shuffle(input);
+  assert.deepEqual([...out].sort(), input);
+  assert.deepEqual(input, [1, 2, 3, 4, 5]);
+});
+
+test("poolSize counts fixed captions + every slot combination; variables don't multiply", () => {
+  assert.equal(
+    poolSize({
+      captions: ["a", "b"],
+      templates: ["{x} {y}", "{x} {brand}"],
+      slots: { x: ["1", "2", "3"], y: ["p", "q"] },
+      variables: { brand: "Molle" },
+    }),
+    2 + 6 + 3
+  );
+});
+
+test("templates expand to the cartesian product of their slots", () => {
+  const captions = all({
+    templates: ["{a} {b}"],
+    slots: { a: ["x", "y"], b: ["1", "2"] },
+  });
+  assert.deepEqual(captions.sort(), ["x 1", "x 2", "y 1", "y 2"]);
+});
+
+test("rendering fills variables, squeezes spaces before punctuation and drops empties", () => {
+  const captions = all({
+    captions: ["", "fixed"],
+    templates: ["{opener} {brand} {closer}"],
+    slots: { opener: ["Hey"], closer: ["!", ""] },
+    variables: { brand: "Molle" },
+  });
+  assert.deepEqual(captions.sort(), ["Hey Molle", "Hey Molle!", "fixed"]);
+});
+
+test("candidates never repeat, even when captions and expansions collide", () => {
+  const captions = all({
+    captions: ["same", "same", "other"],
+    templates: ["{w}"],
+    slots: { w: ["same", "new"] },
+  });
+  assert.equal(captions.length, new Set(captions).size);
+  assert.deepEqual(captions.sort(), ["new", "other", "same"]);
+});
+
+test("huge pools are sampled lazily", () => {
+  const digits = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"];
+  const pools = {
+    templates: ["{a}{b}{c}{d}{e}"],
+    slots: { a: digits, b: digits, c: digits, d: digits, e: digits },
+  };
+  assert.equal(poolSize(pools), 100000);
+
+  const candidates = captionCandidates(pools);
+  const picked = new Set();
+  for (let n = 0; n < 50; n++) picked.add(candidates.next().value);
+  assert.equal(picked.size, 50);
+  assert.ok([...picked].every((c) => /^\d{5}$/.test(c)));
+});
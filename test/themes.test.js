@@ -0,0 +1,157 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { createStorage } from "../storage.js";
+import { makeBatchCaptions } from "../captions.js";
+import {
+  getTheme,
+  listThemes,
+  loadThemes,
+  publicTheme,
+  saveTheme,
+  validateTheme,
+} from "../themes.js";
+
+const PROMO_YAML = `
+name: Promo
+hashtagsPerItem: 1
+templates: ["{opener} {brand}"]
+slots:
+  opener: [" Hey "]
+variables:
+  brand: Molle
+hashtags: ["#promo"]
+locales:
+  SV_se:
+    templates: ["{opener} {sv_closer}"]
+    slots:
+      sv_closer: ["då"]
+    hashtags: ["#sv"]
+`;
+
+let dir;
+let storage;
+const load = () =>
+  loadThemes(path.join(dir, "bundled"), {
+    storage,
+    bucket: "assets",
+    cacheDir: path.join(dir, "cache"),
+  });
+
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-themes-"));
+  await fs.mkdir(path.join(dir, "bundled"));
+  await fs.writeFile(path.join(dir, "bundled", "Promo.yaml"), PROMO_YAML);
+  await fs.writeFile(path.join(dir, "bundled", "broken.json"), '{"captions": ["x"]}');
+  await fs.writeFile(path.join(dir, "bundled", "README.md"), "not a pack");
+  storage = await createStorage({
+    driver: "local",
+    local: { root: path.join(dir, "storage"), publicBaseUrl: "http://localhost/files" },
+  });
+});
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("validateTheme lists every problem of a pack", () => {
+  assert.deepEqual(
+    validateTheme("Bad Id", {
+      captions: "one",
+      slots: { x: [] },
+      variables: { brand: 1 },
+      hashtags: [],
+      hashtagsPerItem: -1,
+      locales: { sv: { captions: [1] } },
+      metadata: [],
+    }),
+    [
+      "invalid_theme_id",
+      "captions_must_be_a_string_array",
+      "slots.x_must_be_a_non_empty_string_array",
+      "variables_must_map_names_to_strings",
+      "hashtags_must_be_a_non_empty_string_array",
+      "hashtagsPerItem_must_be_a_non_negative_integer",
+      "locales.sv.captions_must_be_a_string_array",
+      "metadata_must_be_an_object",
+    ]
+  );
+  assert.deepEqual(validateTheme("x", []), ["theme_must_be_an_object"]);
+});
+
+test("template placeholders must be slots (base or locale) or variables", () => {
+  const pack = {
+    templates: ["{a} {brand}"],
+    slots: { a: ["1"] },
+    variables: { brand: "Molle" },
+    hashtags: ["#x"],
+    locales: { sv: { templates: ["{a} {b}", "{c}"], slots: { b: ["2"] } } },
+  };
+  assert.deepEqual(validateTheme("x", pack), ["locales.sv.templates_unknown_placeholder_c"]);
+  assert.deepEqual(validateTheme("x", { ...pack, templates: ["{b}"], locales: {} }), [
+    "templates_unknown_placeholder_b",
+  ]);
+});
+
+test("loadThemes reads JSON/YAML packs and skips invalid ones", async () => {
+  const loaded = await load();
+  assert.deepEqual(loaded.map((t) => t.id), ["promo"]);
+
+  const promo = getTheme(" PROMO ");
+  assert.equal(promo.name, "Promo");
+  assert.deepEqual(promo.slots, { opener: [" Hey "] });
+  assert.deepEqual(Object.keys(promo.locales), ["sv-se"]);
+  assert.equal(publicTheme(promo).file, undefined);
+  assert.equal(getTheme("broken"), null);
+});
+
+test("a locale uses its own pools, others (even its language alone) fall back to English", async () => {
+  await load();
+  const { items } = makeBatchCaptions({
+    count: 3,
+    theme: "promo",
+    locales: ["sv-se", "sv", "de"],
+  });
+  assert.deepEqual(
+    items.map((i) => [i.caption, i.hashtags, i.locale_fallback]),
+    [
+      ["Hey då", ["#sv"], false],
+      ["Hey Molle", ["#promo"], true],
+      ["Hey Molle", ["#promo"], true],
+    ]
+  );
+});
+
+test("saveTheme stores the pack in the bucket and it wins over the bundled one", async () => {
+  await load();
+  const pack = { name: "Promo v2", captions: ["new"], hashtags: ["#new"] };
+
+  const first = await saveTheme("Promo", pack);
+  assert.equal(first.created, false); // replaces the bundled pack
+  const fresh = await saveTheme("fresh", pack);
+  assert.equal(fresh.created, true);
+
+  const stored = path.join(dir, "storage", "assets", "themes", "promo.json");
+  assert.deepEqual(JSON.parse(await fs.readFile(stored, "utf8")), pack);
+  const bundled = await fs.readFile(path.join(dir, "bundled", "Promo.yaml"), "utf8");
+  assert.equal(bundled, PROMO_YAML);
+
+  // a restart loads the saved packs on top of the bundled files
+  await load();
+  assert.equal(getTheme("promo").name, "Promo v2");
+  assert.deepEqual(listThemes().map((t) => t.id), ["promo", "fresh"]);
+});
+
+test("saveTheme rejects invalid packs and needs a bucket", async () => {
+  await load();
+  await assert.rejects(saveTheme("x", { captions: ["a"] }), (e) => {
+    assert.equal(e.message, "invalid_theme");
+    assert.deepEqual(e.details, ["hashtags_must_be_a_non_empty_string_array"]);
+    return true;
+  });
+
+  await loadThemes(path.join(dir, "bundled"));
+  await assert.rejects(
+    saveTheme("x", { captions: ["a"], hashtags: ["#a"] }),
+    /theme_storage_not_configured/
+  );
+});
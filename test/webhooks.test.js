@@ -0,0 +1,184 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import {
+  checkCallbackUrl,
+  deliverWebhook,
+  isPublicAddress,
+  normalizeCallbackUrl,
+  signWebhook,
+} from "../webhooks.js";
+
+// local receiver answering with `statuses` in turn (the last one repeats)
+async function receiver(statuses) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => (body += d));
+    req.on("end", () => {
+      hits.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(hits.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    hits,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("normalizeCallbackUrl accepts absolute http(s) URLs only", () => {
+  assert.equal(normalizeCallbackUrl(" https://example.com/hook "), "https://example.com/hook");
+  assert.equal(normalizeCallbackUrl("ftp://example.com/"), null);
+  assert.equal(normalizeCallbackUrl("/relative"), null);
+  assert.equal(normalizeCallbackUrl(""), null);
+});
+
+test("signWebhook is HMAC-SHA256 over '<t>.<body>'", () => {
+  const mac = crypto.createHmac("sha256", "s3cret").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(signWebhook("s3cret", 1700000000, '{"a":1}'), `t=1700000000,v1=${mac}`);
+});
+
+test("isPublicAddress rejects loopback, private, link-local and unique-local ranges", () => {
+  for (const ip of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "[::1]",
+    "fe80::1",
+    "fd12:3456::1",
+    "::ffff:127.0.0.1",
+    "not-an-ip",
+  ]) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "2606:4700::1111"]) {
+    assert.equal(isPublicAddress(ip), true, ip);
+  }
+});
+
+test("checkCallbackUrl checks every address the host resolves to", async () => {
+  const lookup = (answers) => async () => answers.map((address) => ({ address }));
+
+  assert.equal(
+    await checkCallbackUrl("https://hooks.example/x", { lookup: lookup(["93.184.216.34"]) }),
+    null
+  );
+  assert.equal(
+    await checkCallbackUrl("https://hooks.example/x", {
+      lookup: lookup(["93.184.216.34", "10.0.0.5"]),
+    }),
+    "callback_url_not_public"
+  );
+  assert.equal(
+    await checkCallbackUrl("https://hooks.example/x", {
+      lookup: async () => {
+        throw new Error("ENOTFOUND");
+      },
+    }),
+    "callback_url_unresolvable"
+  );
+  // IP literals aren't looked up
+  assert.equal(await checkCallbackUrl("http://[::1]:8080/"), "callback_url_not_public");
+  assert.equal(await checkCallbackUrl("http://169.254.169.254/latest"), "callback_url_not_public");
+  assert.equal(await checkCallbackUrl("http://127.0.0.1/", { allowPrivate: true }), null);
+});
+
+test("deliverWebhook signs, retries 5xx and stops once accepted", async () => {
+  const hook = await receiver([503, 200]);
+  const log = [];
+  try {
+    const result = await deliverWebhook({
+      url: hook.url,
+      secret: "s3cret",
+      event: "batch.done",
+      payload: { batchId: "batch_x" },
+      log,
+      allowPrivate: true,
+      baseDelayMs: 1,
+    });
+
+    assert.deepEqual(result, { delivered: true, attempts: 2 });
+    assert.deepEqual(log.map((e) => [e.attempt, e.status, e.ok]), [
+      [1, 503, false],
+      [2, 200, true],
+    ]);
+    const [first, second] = hook.hits;
+    assert.equal(first.headers["x-molle-delivery"], second.headers["x-molle-delivery"]);
+    assert.equal(second.headers["x-molle-event"], "batch.done");
+    const t = second.headers["x-molle-signature"].match(/^t=(\d+),/)[1];
+    assert.equal(second.headers["x-molle-signature"], signWebhook("s3cret", t, second.body));
+  } finally {
+    await hook.close();
+  }
+});
+
+test("deliverWebhook gives up on other 4xx and doesn't follow redirects", async () => {
+  const hook = await receiver([302]);
+  try {
+    const log = [];
+    const result = await deliverWebhook({
+      url: hook.url,
+      secret: "s",
+      event: "batch.error",
+      payload: {},
+      log,
+      allowPrivate: true,
+      baseDelayMs: 1,
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+    assert.equal(log[0].status, 302);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("deliverWebhook never sends to a private address unless allowed", async () => {
+  const hook = await receiver([200]);
+  try {
+    const log = [];
+    const result = await deliverWebhook({
+      url: hook.url,
+      secret: "s",
+      event: "batch.done",
+      payload: {},
+      log,
+      baseDelayMs: 1,
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+    assert.equal(log[0].error, "callback_url_not_public");
+    assert.equal(hook.hits.length, 0);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("deliverWebhook refuses a host that re-resolves to a private address", async () => {
+  const hook = await receiver([200]);
+  try {
+    const log = [];
+    const result = await deliverWebhook({
+      url: hook.url.replace("127.0.0.1", "localhost"),
+      secret: "s",
+      event: "batch.done",
+      payload: {},
+      log,
+      // the check sees a public answer, the connection then resolves to loopback
+      lookup: async () => [{ address: "93.184.216.34" }],
+      baseDelayMs: 1,
+    });
+    assert.deepEqual(result, { delivered: false, attempts: 1 });
+    assert.equal(log[0].error, "callback_url_not_public");
+    assert.equal(hook.hits.length, 0);
+  } finally {
+    await hook.close();
+  }
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { createZipBundle } from "../zip.js";
+
+// entries are STOREd: name -> content straight from the central directory
+async function readZip(file) {
+  const zip = await fs.readFile(file);
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(eocd + 10);
+  const contents = new Map();
+  let at = zip.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    const size = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const skip = nameLength + zip.readUInt16LE(at + 30) + zip.readUInt16LE(at + 32);
+    const name = zip.toString("utf8", at + 46, at + 46 + nameLength);
+    const local = zip.readUInt32LE(at + 42);
+    const data = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    contents.set(name, zip.toString("utf8", data, data + size));
+    at += 46 + skip;
+  }
+  return contents;
+}
+
+let dir;
+test.beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "molle-zip-"));
+});
+test.afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("entries are streamed in as they are added", async () => {
+  const clip = path.join(dir, "clip_1.mp4");
+  await fs.writeFile(clip, "fake mp4 bytes");
+
+  const zipPath = path.join(dir, "batch.zip");
+  const zip = createZipBundle(zipPath);
+  assert.equal(await zip.addFile(clip, "tiktok/clip_1.mp4"), true);
+  assert.equal(zip.entries, 1);
+  // written: the source may go now
+  await fs.unlink(clip);
+  assert.equal(await zip.addBuffer(Buffer.from("a,b\n"), "captions.csv"), true);
+  assert.equal(await zip.addBuffer(Buffer.from("{}"), "manifest.json"), true);
+  assert.equal(zip.entries, 3);
+
+  const bytes = await zip.finalize();
+  assert.equal(bytes, (await fs.stat(zipPath)).size);
+  assert.deepEqual(
+    [...(await readZip(zipPath))],
+    [
+      ["tiktok/clip_1.mp4", "fake mp4 bytes"],
+      ["captions.csv", "a,b\n"],
+      ["manifest.json", "{}"],
+    ]
+  );
+});
+
+test("a failed add resolves false, later adds are skipped and finalize throws", async () => {
+  const zip = createZipBundle(path.join(dir, "batch.zip"));
+  assert.equal(await zip.addBuffer(Buffer.from("ok"), "first.txt"), true);
+
+  // the clip vanished before it was read
+  assert.equal(await zip.addFile(path.join(dir, "gone.mp4"), "gone.mp4"), false);
+  assert.equal(await zip.addBuffer(Buffer.from("late"), "late.txt"), false);
+  assert.equal(zip.entries, 1);
+  await assert.rejects(zip.finalize(), { code: "ENOENT" });
+  zip.abort();
+});
@@ -0,0 +1,307 @@
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import YAML from "yaml";
+import { nanoid } from "nanoid";
+import { placeholders } from "./templates.js";
+import { validateBranding } from "./branding.js";
+import { logger } from "./logger.js";
+
+/**
+ * Theme packs (caption + hashtag pools per campaign / product line)
+ *
+ * Bundled packs: one file per theme in THEMES_DIR, `<id>.json`, `<id>.yaml` or
+ * `<id>.yml` (read-only, shipped with the code). Packs saved through the API
+ * go to the storage bucket as `themes/<id>.json` and win over a bundled pack
+ * with the same id.
+ *
+ *   {
+ *     "name": "Snus / nicotine pouches",
+ *     "description": "...",
+ *     "hashtagsPerItem": 8,
+ *     "captions": ["..."],
+ *     "templates": ["{opener} {vibe} {closer}"],
+ *     "slots": { "opener": ["POV:"], "vibe": ["..."], "closer": ["🧊", ""] },
+ *     "variables": { "brand": "..." },
+ *     "hashtags": ["#fyp", "..."],
+ *     "locales": {
+ *       "sv": { "captions": ["..."], "templates": ["..."], "slots": {}, "hashtags": ["..."] }
+ *     },
+ *     "branding": { "logo": { "asset": "asset_…" }, "text": [{ "text": "18+" }] },
+ *     "metadata": {}
+ *   }
+ *
+ * Fixed captions and template expansions (see templates.js) form one pool; a
+ * pack needs at least one of them. Top-level pools are English; `locales` holds
+ * per-market pools, any of which may be left out (captions.js falls back to
+ * English, locale slots are merged over the base slots). `branding` (optional)
+ * is the default logo / text / intro / outro of the theme's outputs (see
+ * branding.js).
+ *
+ * Packs are loaded once at startup and kept in memory; `saveTheme` uploads
+ * the pack and updates this instance's cache, so themes survive deploys and
+ * other instances pick a change up on their next start.
+ */
+const THEME_ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const EXTENSIONS = [".json", ".yaml", ".yml"];
+const SAVED_PREFIX = "themes";
+
+let saved = null; // { storage, bucket, cacheDir } once loaded
+const themes = new Map(); // id -> { ...pack, id, file (bundled name or object path) }
+
+/**
+ * Bundled packs from `dir`, then the saved ones from `storage` / `bucket`
+ * (left out = bundled packs only, and saveTheme refuses to write)
+ */
+export async function loadThemes(
+  dir,
+  { storage = null, bucket = null, cacheDir = os.tmpdir() } = {}
+) {
+  saved = storage ? { storage, bucket, cacheDir } : null;
+  themes.clear();
+
+  const themesDir = path.resolve(dir);
+  const names = await fs
+    .readdir(themesDir)
+    .catch((e) => (e.code === "ENOENT" ? [] : Promise.reject(e)));
+  for (const name of names.sort()) {
+    const ext = path.extname(name).toLowerCase();
+    if (!EXTENSIONS.includes(ext)) continue;
+    const file = path.join(themesDir, name);
+    await addTheme(path.basename(name, path.extname(name)), name, async () =>
+      parseThemeFile(await fs.readFile(file, "utf8"), ext)
+    );
+  }
+
+  if (saved) {
+    let objects = [];
+    try {
+      objects = await storage.list(bucket, SAVED_PREFIX);
+    } catch (e) {
+      logger.error("listing saved themes failed", { component: "themes", err: e });
+    }
+    for (const { path: objectPath } of objects) {
+      if (path.posix.extname(objectPath) !== ".json") continue;
+      await addTheme(path.posix.basename(objectPath, ".json"), objectPath, () =>
+        readSavedTheme(objectPath)
+      );
+    }
+  }
+
+  return listThemes();
+}
+
+// read + validate one pack; a broken one is logged and skipped
+async function addTheme(name, file, read) {
+  const id = name.toLowerCase();
+  try {
+    const data = await read();
+    const errors = validateTheme(id, data);
+    if (errors.length) {
+      logger.warn("skipping theme", { component: "themes", file, errors });
+      return;
+    }
+    themes.set(id, normalizeTheme(id, data, file));
+  } catch (e) {
+    logger.warn("skipping theme", { component: "themes", file, err: e });
+  }
+}
+
+async function readSavedTheme(objectPath) {
+  const tmp = path.join(saved.cacheDir, `theme.${nanoid(6)}.json`);
+  try {
+    await fs.mkdir(saved.cacheDir, { recursive: true });
+    await saved.storage.download(saved.bucket, objectPath, tmp);
+    return JSON.parse(await fs.readFile(tmp, "utf8"));
+  } finally {
+    await fs.unlink(tmp).catch(() => {});
+  }
+}
+
+export function getTheme(id) {
+  return themes.get(String(id || "").trim().toLowerCase()) || null;
+}
+
+// Theme pack as returned by the API (without the file / object it came from)
+export function publicTheme(theme) {
+  if (!theme) return null;
+  const { file, ...rest } = theme; // eslint-disable-line no-unused-vars
+  return rest;
+}
+
+export function listThemes() {
+  return [...themes.values()].map((t) => ({
+    id: t.id,
+    name: t.name,
+    description: t.description,
+    captions: t.captions.length,
+    templates: t.templates.length,
+    hashtags: t.hashtags.length,
+    locales: ["en", ...Object.keys(t.locales)],
+    branding: !!t.branding,
+    metadata: t.metadata,
+  }));
+}
+
+// -> list of problems (empty when the pack is usable)
+export function validateTheme(id, data) {
+  const errors = [];
+
+  if (!THEME_ID_RE.test(String(id || ""))) errors.push("invalid_theme_id");
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    errors.push("theme_must_be_an_object");
+    return errors;
+  }
+
+  if (data.captions != null && !isStringList(data.captions))
+    errors.push("captions_must_be_a_string_array");
+  if (data.templates != null && !isStringList(data.templates))
+    errors.push("templates_must_be_a_string_array");
+  if (!data.captions?.length && !data.templates?.length)
+    errors.push("captions_or_templates_required");
+  errors.push(...validateSlots("slots", data.slots));
+  if (
+    data.variables != null &&
+    (typeof data.variables !== "object" ||
+      Array.isArray(data.variables) ||
+      !Object.values(data.variables).every((v) => typeof v === "string"))
+  )
+    errors.push("variables_must_map_names_to_strings");
+  if (!isStringList(data.hashtags) || !data.hashtags.length)
+    errors.push("hashtags_must_be_a_non_empty_string_array");
+  if (
+    data.hashtagsPerItem != null &&
+    !(Number.isInteger(data.hashtagsPerItem) && data.hashtagsPerItem >= 0)
+  )
+    errors.push("hashtagsPerItem_must_be_a_non_negative_integer");
+  if (data.locales != null) {
+    if (typeof data.locales !== "object" || Array.isArray(data.locales)) {
+      errors.push("locales_must_be_an_object");
+    } else {
+      for (const [locale, pools] of Object.entries(data.locales)) {
+        if (!pools || typeof pools !== "object") {
+          errors.push(`locales.${locale}_must_be_an_object`);
+          continue;
+        }
+        if (pools.captions != null && !isStringList(pools.captions))
+          errors.push(`locales.${locale}.captions_must_be_a_string_array`);
+        if (pools.templates != null && !isStringList(pools.templates))
+          errors.push(`locales.${locale}.templates_must_be_a_string_array`);
+        errors.push(...validateSlots(`locales.${locale}.slots`, pools.slots));
+        if (pools.hashtags != null && !isStringList(pools.hashtags))
+          errors.push(`locales.${locale}.hashtags_must_be_a_string_array`);
+      }
+    }
+  }
+  errors.push(...validateBranding(data.branding));
+  if (
+    data.metadata != null &&
+    (typeof data.metadata !== "object" || Array.isArray(data.metadata))
+  )
+    errors.push("metadata_must_be_an_object");
+
+  if (!errors.length) errors.push(...unknownPlaceholders(data));
+
+  return errors;
+}
+
+function validateSlots(label, slots) {
+  if (slots == null) return [];
+  if (typeof slots !== "object" || Array.isArray(slots))
+    return [`${label}_must_be_an_object`];
+  return Object.entries(slots)
+    .filter(([, list]) => !isStringList(list) || !list.length)
+    .map(([name]) => `${label}.${name}_must_be_a_non_empty_string_array`);
+}
+
+// Every {placeholder} must be a slot (base or locale) or a variable
+function unknownPlaceholders(data) {
+  const errors = [];
+  const check = (label, templates, slots) => {
+    for (const t of templates || []) {
+      for (const name of placeholders(t)) {
+        if (!(name in slots) && !(name in (data.variables || {})))
+          errors.push(`${label}_unknown_placeholder_${name}`);
+      }
+    }
+  };
+
+  check("templates", data.templates, data.slots || {});
+  for (const [locale, pools] of Object.entries(data.locales || {})) {
+    check(`locales.${locale}.templates`, pools.templates, {
+      ...data.slots,
+      ...pools.slots,
+    });
+  }
+  return errors;
+}
+
+/**
+ * Create or update a theme: stored as `themes/<id>.json` in the bucket (also
+ * when it overrides a bundled pack). -> { theme, created }
+ */
+export async function saveTheme(id, data) {
+  if (!saved) throw new Error("theme_storage_not_configured");
+
+  const themeId = String(id || "").trim().toLowerCase();
+  const errors = validateTheme(themeId, data);
+  if (errors.length) {
+    const err = new Error("invalid_theme");
+    err.details = errors;
+    throw err;
+  }
+
+  const { id: _id, file: _file, ...content } = data; // eslint-disable-line no-unused-vars
+  const objectPath = `${SAVED_PREFIX}/${themeId}.json`;
+  await saved.storage.uploadBuffer(
+    saved.bucket,
+    objectPath,
+    Buffer.from(JSON.stringify(content, null, 2) + "\n", "utf8"),
+    "application/json"
+  );
+
+  const created = !themes.has(themeId);
+  const theme = normalizeTheme(themeId, content, objectPath);
+  themes.set(themeId, theme);
+  return { theme, created };
+}
+
+function parseThemeFile(text, ext) {
+  return ext === ".json" ? JSON.parse(text) : YAML.parse(text);
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((s) => typeof s === "string");
+}
+
+function cleanList(list) {
+  return (list || []).map((s) => s.trim()).filter(Boolean);
+}
+
+function normalizeTheme(id, data, file) {
+  return {
+    id,
+    name: data.name || id,
+    description: data.description || "",
+    hashtagsPerItem: data.hashtagsPerItem ?? 8,
+    captions: cleanList(data.captions),
+    templates: cleanList(data.templates),
+    slots: data.slots || {},
+    variables: data.variables || {},
+    hashtags: cleanList(data.hashtags),
+    locales: Object.fromEntries(
+      Object.entries(data.locales || {}).map(([locale, pools]) => [
+        locale.toLowerCase().replace("_", "-"),
+        {
+          captions: cleanList(pools.captions),
+          templates: cleanList(pools.templates),
+          slots: pools.slots || {},
+          hashtags: cleanList(pools.hashtags),
+        },
+      ])
+    ),
+    branding: data.branding || null,
+    metadata: data.metadata || {},
+    file,
+  };
+}
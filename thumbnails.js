@@ -0,0 +1,157 @@
+import { spawn } from "child_process";
+
+/**
+ * Cover images + preview GIFs for encoded clips
+ *
+ * Cover modes:
+ *  - "time"     frame at `at` seconds (clamped into the clip)
+ *  - "sharpest" least blurry of ~2 frames/s over the first 10s (ffmpeg
+ *               `blurdetect`), falls back to "time" when nothing is measured
+ */
+export const COVER_MODES = ["time", "sharpest", "off"];
+
+const SHARPEST_WINDOW_S = 10;
+const STDERR_TAIL = 800;
+
+function run(bin, args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { signal, killSignal: "SIGKILL" });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (d) => (stdout += d));
+    child.stderr.on("data", (d) => (stderr += d));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve({ stdout, stderr });
+      const err = new Error(`ffmpeg_failed code=${code}`);
+      err.details = { ffmpeg_exit: code, stderr: stderr.trim().slice(-STDERR_TAIL) };
+      reject(err);
+    });
+  });
+}
+
+// Seek target that exists in a clip of `duration` seconds
+function clampTime(at, duration) {
+  const t = duration ? Math.min(Math.max(0, at), Math.max(0, duration - 0.1)) : Math.max(0, at);
+  return Math.round(t * 1000) / 1000;
+}
+
+// -> pts_time (s) of the least blurry sampled frame, or null
+async function sharpestTime(ffmpegPath, videoPath, { signal } = {}) {
+  const { stdout } = await run(
+    ffmpegPath,
+    [
+      "-hide_banner",
+      "-nostdin",
+      "-t",
+      String(SHARPEST_WINDOW_S),
+      "-i",
+      videoPath,
+      "-vf",
+      "fps=2,blurdetect,metadata=mode=print:key=lavfi.blur:file=-",
+      "-an",
+      "-f",
+      "null",
+      "-",
+    ],
+    { signal }
+  );
+
+  // "frame:3 pts:6 pts_time:1.5" followed by "lavfi.blur=4.21"
+  let best = null;
+  let time = null;
+  for (const line of stdout.split("\n")) {
+    const t = line.match(/pts_time:([\d.]+)/);
+    if (t) time = Number(t[1]);
+    const b = line.match(/lavfi\.blur=([\d.]+)/);
+    if (b && time != null && (!best || Number(b[1]) < best.blur)) {
+      best = { blur: Number(b[1]), time };
+    }
+  }
+  return best ? best.time : null;
+}
+
+/**
+ * Writes a JPEG cover of `videoPath` to `outPath`.
+ * -> { mode, at } (mode actually used, timestamp in seconds)
+ */
+export async function extractCover({
+  ffmpegPath,
+  videoPath,
+  outPath,
+  mode = "time",
+  at = 1,
+  duration,
+  signal,
+}) {
+  let used = "time";
+  let time = clampTime(at, duration);
+
+  if (mode === "sharpest") {
+    const sharp = await sharpestTime(ffmpegPath, videoPath, { signal }).catch((e) => {
+      if (signal?.aborted) throw e;
+      return null;
+    });
+    if (sharp != null) {
+      used = "sharpest";
+      time = clampTime(sharp, duration);
+    }
+  }
+
+  await run(
+    ffmpegPath,
+    [
+      "-y",
+      "-hide_banner",
+      "-nostdin",
+      "-ss",
+      time.toFixed(3),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-q:v",
+      "3",
+      outPath,
+    ],
+    { signal }
+  );
+  return { mode: used, at: time };
+}
+
+// Short looping low-res GIF (palette per clip keeps it small and clean)
+export async function renderPreview({
+  ffmpegPath,
+  videoPath,
+  outPath,
+  duration,
+  seconds = 3,
+  width = 240,
+  fps = 10,
+  signal,
+}) {
+  // start a little in, skipping intros/black frames when the clip is long enough
+  const start = duration && duration > seconds * 2 ? Math.min(1, duration - seconds) : 0;
+
+  await run(
+    ffmpegPath,
+    [
+      "-y",
+      "-hide_banner",
+      "-nostdin",
+      "-ss",
+      start.toFixed(3),
+      "-t",
+      String(seconds),
+      "-i",
+      videoPath,
+      "-vf",
+      `fps=${fps},scale=${width}:-2:flags=bilinear,split[a][b];` +
+        "[a]palettegen=max_colors=64[p];[b][p]paletteuse=dither=bayer",
+      "-loop",
+      "0",
+      outPath,
+    ],
+    { signal }
+  );
+}
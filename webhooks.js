@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import dnsCallback from "dns";
+import net from "net";
+import { nanoid } from "nanoid";
+import { Agent, fetch } from "undici";
+
+/**
+ * Completion webhooks (`callback_url`)
+ *
+ * The body is the public job JSON. Every request is signed so receivers can
+ * check it came from us and isn't replayed:
+ *
+ *   X-Molle-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ *   X-Molle-Event:     batch.done | batch.error
+ *   X-Molle-Delivery:  <id, the same for every attempt>
+ *
+ * Network errors, timeouts, 408/429 and 5xx are retried with exponential
+ * backoff; any other status ends the delivery. Redirects are not followed.
+ *
+ * The host must resolve to public addresses only (no loopback, private,
+ * link-local or unique-local ranges, so a callback can't reach the metadata
+ * service or internal APIs). checkCallbackUrl runs on submit and again before
+ * every attempt, and the connection itself only opens to an address that
+ * passes the same check (a host re-resolving to a private address between the
+ * two lookups is refused). `allowPrivate` turns it off for local development.
+ */
+const MAX_LOG_ENTRIES = 20;
+
+// -> normalized URL string, or null when it isn't an absolute http(s) URL
+export function normalizeCallbackUrl(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Addresses a callback must never reach (IPv4-mapped IPv6 is unwrapped first)
+const BLOCKED = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // multicast + reserved
+]) {
+  BLOCKED.addSubnet(net4, bits, "ipv4");
+}
+for (const [net6, bits] of [
+  ["::", 128], // unspecified
+  ["::1", 128],
+  ["fc00::", 7], // unique-local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED.addSubnet(net6, bits, "ipv6");
+}
+
+export function isPublicAddress(address) {
+  let ip = String(address || "").replace(/^\[|\]$/g, "");
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !BLOCKED.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolve the callback host -> null when every address is public, otherwise
+ * the error code: "callback_url_not_public" | "callback_url_unresolvable".
+ */
+export async function checkCallbackUrl(url, { allowPrivate = false, lookup = dns.lookup } = {}) {
+  if (allowPrivate) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) addresses = [host];
+  else {
+    try {
+      addresses = (await lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+    } catch {
+      return "callback_url_unresolvable";
+    }
+  }
+  if (!addresses.length) return "callback_url_unresolvable";
+  return addresses.every(isPublicAddress) ? null : "callback_url_not_public";
+}
+
+// dns.lookup for the webhook connections: fails unless every address is public
+function publicLookup(hostname, options, callback) {
+  dnsCallback.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.every((a) => isPublicAddress(a.address))) {
+      const blocked = new Error("callback_url_not_public");
+      blocked.code = "ECALLBACKNOTPUBLIC";
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicOnly = new Agent({ connect: { lookup: publicLookup } });
+
+export function signWebhook(secret, timestamp, body) {
+  const mac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST `payload` to `url` until it is accepted or attempts run out.
+ * `log` (array) gets one entry per attempt; `onAttempt` runs after each one
+ * (used to persist the log). `lookup` replaces the resolver of the pre-send
+ * check (see checkCallbackUrl). -> { delivered, attempts }
+ */
+export async function deliverWebhook({
+  url,
+  secret,
+  event,
+  payload,
+  log,
+  onAttempt,
+  allowPrivate = false,
+  lookup,
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  timeoutMs = 10000,
+}) {
+  const body = JSON.stringify(payload);
+  const deliveryId = `dlv_${nanoid(10)}`;
+
+  let attempt = 0;
+  while (attempt < maxAttempts) {
+    attempt += 1;
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    const entry = { delivery_id: deliveryId, event, attempt, at: started };
+
+    let retry = true;
+    try {
+      // DNS may have changed since submit: check again right before sending
+      const blocked = await checkCallbackUrl(url, { allowPrivate, lookup });
+      if (blocked) {
+        // an unresolvable host may come back, a private one stays blocked
+        retry = blocked === "callback_url_unresolvable";
+        throw new Error(blocked);
+      }
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "content-molle-webhooks",
+          "x-molle-event": event,
+          "x-molle-delivery": deliveryId,
+          "x-molle-signature": signWebhook(secret, timestamp, body),
+        },
+        body,
+        redirect: "manual", // a redirect could point anywhere
+        signal: AbortSignal.timeout(timeoutMs),
+        ...(allowPrivate ? {} : { dispatcher: publicOnly }),
+      });
+      // drain so the connection can be reused
+      await resp.arrayBuffer().catch(() => {});
+
+      entry.status = resp.status;
+      entry.ok = resp.ok;
+      retry = !resp.ok && retryable(resp.status);
+    } catch (e) {
+      entry.ok = false;
+      entry.error = e?.name === "TimeoutError" ? "timeout" : String(e?.message || e);
+      if (e?.cause?.code === "ECALLBACKNOTPUBLIC") {
+        entry.error = "callback_url_not_public";
+        retry = false;
+      }
+    }
+    entry.duration_ms = Date.now() - started;
+
+    log.push(entry);
+    if (log.length > MAX_LOG_ENTRIES) log.splice(0, log.length - MAX_LOG_ENTRIES);
+    await onAttempt?.(entry);
+
+    if (entry.ok) return { delivered: true, attempts: attempt };
+    if (!retry || attempt === maxAttempts) break;
+
+    // 2s, 4s, 8s, ... with a little jitter so retries don't line up
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    await new Promise((r) => setTimeout(r, delay + Math.random() * 250));
+  }
+
+  return { delivered: false, attempts: attempt };
+}
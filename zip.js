@@ -0,0 +1,83 @@
+import fssync from "fs";
+import { ZipArchive } from "archiver";
+
+/**
+ * Streamed ZIP bundle for one batch.
+ *
+ * Clips are appended one at a time as they finish, so only the ZIP on disk and
+ * the clip currently being copied into it need to exist (nothing is buffered in
+ * RAM). `addFile` resolves once the entry has been written, after which the
+ * source file can be deleted.
+ *
+ * add* never throw: a broken archive is reported once, by `finalize()`.
+ */
+export function createZipBundle(zipPath) {
+  const output = fssync.createWriteStream(zipPath);
+  // mp4s are already compressed -> STORE is as small as DEFLATE and far cheaper
+  const archive = new ZipArchive({ store: true });
+
+  const waiting = new Map(); // entry name -> resolve
+  let failure = null;
+  let entries = 0;
+
+  const fail = (e) => {
+    failure = failure || e;
+    for (const resolve of waiting.values()) resolve(false);
+    waiting.clear();
+  };
+
+  const written = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  written.catch(fail);
+  // e.g. a clip that vanished before it was read: the bundle would be incomplete
+  archive.on("warning", fail);
+
+  archive.on("entry", (entry) => {
+    entries += 1;
+    const resolve = waiting.get(entry.name);
+    if (resolve) {
+      waiting.delete(entry.name);
+      resolve(true);
+    }
+  });
+
+  archive.pipe(output);
+
+  function add(name, appendFn) {
+    if (failure) return Promise.resolve(false);
+    return new Promise((resolve) => {
+      waiting.set(name, resolve);
+      try {
+        appendFn();
+      } catch (e) {
+        fail(e);
+      }
+    });
+  }
+
+  return {
+    get entries() {
+      return entries;
+    },
+    addFile(filePath, name) {
+      return add(name, () => archive.file(filePath, { name }));
+    },
+    addBuffer(content, name) {
+      return add(name, () => archive.append(content, { name }));
+    },
+    async finalize() {
+      if (failure) throw failure;
+      await archive.finalize();
+      await written;
+      if (failure) throw failure;
+      return archive.pointer();
+    },
+    abort() {
+      archive.abort();
+      output.destroy();
+    },
+  };
+}